@@ -0,0 +1,150 @@
+// backend/middleware/auth.js
+
+const { verifyAccessToken, verifyStreamTicket, isSessionActive } = require('../services/sessionTokens');
+const apiKeys = require('../services/apiKeys');
+
+// Wallets allowed to use the /admin routes (comma separated)
+const ADMIN_WALLETS = new Set(
+  (process.env.ADMIN_WALLETS || '').split(',').map(w => w.trim()).filter(Boolean)
+);
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+}
+
+function sessionAuth(payload) {
+  return {
+    walletAddress: payload.sub,
+    userId: payload.uid,
+    sessionId: payload.sid,
+    authMethod: payload.amr,
+    authenticatedAt: new Date(payload.auth_time * 1000)
+  };
+}
+
+async function authenticateSession(token, req, res, next) {
+  const payload = verifyAccessToken(token);
+  if (!payload || !(await isSessionActive(payload.sid))) {
+    return res.status(401).json({ success: false, error: "Session is invalid or expired." });
+  }
+  req.auth = sessionAuth(payload);
+  return next();
+}
+
+async function authenticateApiKey(token, scope, req, res, next) {
+  const key = await apiKeys.findActiveKey(token);
+  if (!key) {
+    return res.status(401).json({ success: false, error: "API key is invalid or revoked." });
+  }
+  if (!key.scopes.includes(scope)) {
+    return res.status(403).json({ success: false, error: `API key is missing the '${scope}' scope.` });
+  }
+  const limit = await apiKeys.consumeRateLimit(key);
+  if (!limit.allowed) {
+    res.setHeader('Retry-After', String(limit.retryAfterSeconds));
+    return res.status(429).json({ success: false, error: "API key rate limit exceeded." });
+  }
+  req.auth = {
+    walletAddress: key.walletAddress,
+    userId: String(key.userId),
+    apiKeyId: key.keyId,
+    authMethod: 'api-key',
+    scopes: key.scopes
+  };
+  return next();
+}
+
+/**
+ * Require a valid session access token. The acting user comes from the
+ * token (req.auth.walletAddress), never from body or query parameters.
+ */
+async function requireAuth(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) {
+    return res.status(401).json({ success: false, error: "Authentication required." });
+  }
+  try {
+    return await authenticateSession(token, req, res, next);
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Like requireAuth, but also accepts a personal API key that carries
+ * `scope` ('generate' | 'read' | 'export'). API keys are rate limited.
+ */
+function requireScope(scope) {
+  return async function(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) {
+      return res.status(401).json({ success: false, error: "Authentication required." });
+    }
+    try {
+      if (apiKeys.isApiKey(token)) {
+        return await authenticateApiKey(token, scope, req, res, next);
+      }
+      return await authenticateSession(token, req, res, next);
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/**
+ * For Server-Sent Events routes. EventSource can't send headers, so
+ * browsers pass ?ticket= from POST /stream-ticket, issued for the stream
+ * named by `audience(req)`. Requests without a ticket go through
+ * `fallback` (requireAuth or requireScope) with an Authorization header.
+ */
+function requireStreamTicket(audience, fallback) {
+  return async function(req, res, next) {
+    const { ticket } = req.query;
+    if (typeof ticket !== 'string') return fallback(req, res, next);
+    try {
+      const payload = verifyStreamTicket(ticket, audience(req));
+      if (!payload || !(await isSessionActive(payload.sid))) {
+        return res.status(401).json({ success: false, error: "Stream ticket is invalid or expired." });
+      }
+      req.auth = sessionAuth(payload);
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+/**
+ * For sensitive actions (withdrawals): the session must have been created
+ * by a password or signature check within the last `maxAgeMs`. Refreshing
+ * a session doesn't count, so the client has to log in again.
+ * Use after requireAuth.
+ */
+function requireRecentAuth(maxAgeMs) {
+  return function(req, res, next) {
+    const { authenticatedAt } = req.auth || {};
+    if (!authenticatedAt || Date.now() - authenticatedAt.getTime() > maxAgeMs) {
+      return res.status(401).json({
+        success: false,
+        reauthenticate: true,
+        error: "Please sign in again to confirm this action."
+      });
+    }
+    return next();
+  };
+}
+
+/**
+ * Only wallets listed in ADMIN_WALLETS may continue. Use after requireAuth.
+ */
+function requireAdmin(req, res, next) {
+  const { walletAddress } = req.auth || {};
+  if (!walletAddress || !ADMIN_WALLETS.has(walletAddress)) {
+    return res.status(403).json({ success: false, error: "Admin access required." });
+  }
+  return next();
+}
+
+module.exports = { requireAuth, requireScope, requireStreamTicket, requireRecentAuth, requireAdmin };
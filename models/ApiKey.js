@@ -0,0 +1,23 @@
+// backend/models/ApiKey.js
+
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['generate', 'read', 'export'];
+
+// Personal API key for scripted access. Only a hash of the secret is kept.
+const ApiKeySchema = new mongoose.Schema({
+  keyId:              { type: String, required: true, unique: true },   // public part, shown in listings
+  userId:             { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  walletAddress:      { type: String, required: true, index: true },
+  name:               { type: String, required: true },
+  scopes:             [{ type: String, enum: API_KEY_SCOPES }],
+  keyHash:            { type: String, required: true },
+  rateLimitPerMinute: { type: Number, required: true },
+  windowStartedAt:    { type: Date, default: null },   // fixed one-minute rate window
+  windowCount:        { type: Number, default: 0 },
+  lastUsedAt:         { type: Date, default: null },
+  revokedAt:          { type: Date, default: null }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
@@ -0,0 +1,21 @@
+// backend/models/Asset.js
+
+const mongoose = require('mongoose');
+
+// Stored image (generated or uploaded). assetId is the sha256 of the bytes,
+// so identical images share one record and URLs never change.
+const AssetSchema = new mongoose.Schema({
+  assetId:       { type: String, required: true, unique: true },  // sha256 hex
+  contentType:   { type: String, required: true },
+  size:          { type: Number, required: true },
+  width:         { type: Number, default: null },
+  height:        { type: Number, default: null },
+  storage:       { type: String, enum: ['fs', 'gridfs'], required: true },
+  storageKey:    { type: String, required: true },  // file name or GridFS id
+  source:        { type: String, default: 'generated' },  // 'generated' | 'upload' | 'import'
+  walletAddress: { type: String, default: null, index: true },
+  originalUrl:   { type: String, default: null },
+  createdAt:     { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Asset', AssetSchema);
@@ -0,0 +1,19 @@
+// backend/models/AuthChallenge.js
+
+const mongoose = require('mongoose');
+
+// One-time nonce for wallet-signature login, or for linking the wallet
+// that signs those logins to an account
+const AuthChallengeSchema = new mongoose.Schema({
+  nonce:         { type: String, required: true, unique: true },
+  walletAddress: { type: String, required: true },   // address expected to sign
+  purpose:       { type: String, enum: ['login', 'link'], default: 'login' },
+  accountAddress: { type: String, default: null },   // link: the account's deposit address
+  message:       { type: String, required: true },   // exact text the wallet signs
+  usedAt:        { type: Date, default: null },
+  expiresAt:     { type: Date, required: true }
+});
+
+AuthChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthChallenge', AuthChallengeSchema);
@@ -0,0 +1,11 @@
+// backend/models/Counter.js
+
+const mongoose = require('mongoose');
+
+// Named monotonic counters, incremented atomically with $inc
+const CounterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+module.exports = mongoose.model('Counter', CounterSchema);
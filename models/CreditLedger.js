@@ -0,0 +1,37 @@
+// backend/models/CreditLedger.js
+
+const mongoose = require('mongoose');
+
+// Append-only record of every credit movement, so support can see
+// why a user's balance changed.
+const CreditLedgerSchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true },
+  delta:         { type: Number, required: true },   // + credited, - debited, 0 informational
+  kind: {
+    type: String,
+    required: true,
+    enum: [
+      'generation-debit',    // credit held when a generation is enqueued
+      'generation-charge',   // job finished, held credit is kept
+      'generation-refund',   // job failed, timed out or was cancelled, or images weren't generated
+      'section-debit',
+      'section-refund',
+      'deposit-credit',      // KAS/KASPER deposit converted into credits
+      'withdrawal-debit',    // credits converted back to coins sent out
+      'withdrawal-refund'    // withdrawal failed before it was broadcast
+    ]
+  },
+  requestId:     { type: String, default: null },
+  reason:        { type: String, default: null },
+  balanceAfter:  { type: Number, default: null },
+  createdAt:     { type: Date, default: Date.now }
+});
+
+CreditLedgerSchema.index({ walletAddress: 1, createdAt: -1 });
+// A given job can only be charged or refunded once
+CreditLedgerSchema.index(
+  { requestId: 1, kind: 1 },
+  { unique: true, partialFilterExpression: { requestId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('CreditLedger', CreditLedgerSchema);
@@ -0,0 +1,34 @@
+// backend/models/Deposit.js
+
+const mongoose = require('mongoose');
+
+// One credited deposit. The unique (txid, coinType, walletAddress) index
+// is what guarantees a transaction is converted into credits only once
+// per receiving address, however many scanners race on it.
+// Replaces User.processedTransactions (see services/depositReconciler.js).
+const DepositSchema = new mongoose.Schema({
+  txid:          { type: String, required: true },   // KAS tx hash or KASPER hashRev
+  coinType:      { type: String, enum: ['KAS', 'KASPER'], required: true },
+  walletAddress: { type: String, required: true },   // receiving deposit address
+  amount:        { type: Number, default: 0 },       // in KAS / KASPER
+  creditsAdded:  { type: Number, default: 0 },
+  // Rate the credits were computed at (services/pricing.creditRate); null for backfilled deposits
+  rate: {
+    creditsPerUnit: { type: Number },
+    mode:           { type: String },
+    priceUsd:       { type: Number },
+    usdPerCredit:   { type: Number },
+    feed:           { type: String },
+    quotedAt:       { type: Date }
+  },
+  // Set once the credits have been added; null means the $inc never happened
+  creditedAt:    { type: Date, default: null },
+  backfilled:    { type: Boolean, default: false },  // copied from User.processedTransactions
+  createdAt:     { type: Date, default: Date.now }
+});
+
+DepositSchema.index({ txid: 1, coinType: 1, walletAddress: 1 }, { unique: true });
+DepositSchema.index({ walletAddress: 1, coinType: 1 });
+DepositSchema.index({ creditedAt: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Deposit', DepositSchema);
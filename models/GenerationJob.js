@@ -0,0 +1,83 @@
+// backend/models/GenerationJob.js
+
+const mongoose = require('mongoose');
+
+// Pipeline stages, in order, pushed to clients by /progress/stream
+const GENERATION_STAGES = [
+  'queued',
+  'started',
+  'prompt-built',
+  'model-streaming',
+  'post-processing',
+  'images',
+  'saved'
+];
+
+// One document per /start-generation call. The web process enqueues it,
+// a worker claims it under a lease, and every web instance reads
+// /progress, /result and /export from here instead of process memory.
+const GenerationJobSchema = new mongoose.Schema({
+  requestId:     { type: String, required: true, unique: true },
+  walletAddress: { type: String, required: true, index: true },
+  status: {
+    type: String,
+    enum: ['queued', 'in-progress', 'done', 'error', 'cancelled'],
+    default: 'queued'
+  },
+  progress:      { type: Number, default: 0 },
+  stage: {
+    type: String,
+    enum: GENERATION_STAGES,
+    default: 'queued'
+  },
+  tokenCount:    { type: Number, default: 0 },   // completion tokens streamed so far
+  model:         { type: String, default: null }, // model that produced the code
+  // Every failed OpenAI call (retries and model fallbacks) for this job
+  modelAttempts: [{
+    _id: false,
+    model: String,
+    attempt: Number,
+    status: Number,
+    error: String,
+    delayMs: Number,
+    at: Date
+  }],
+  partialCode:   { type: String, default: null }, // HTML received so far, for live preview
+  userInputs:    { type: mongoose.Schema.Types.Mixed, default: {} },
+  code:          { type: String, default: null },
+  images:        { type: mongoose.Schema.Types.Mixed, default: {} },  // navLogo, heroBg, footerImg URLs
+  imageErrors:   { type: [String], default: [] },
+  imagesGenerated: { type: Number, default: 0 },  // AI images the worker actually produced
+  error:         { type: String, default: null },
+
+  // Credit held at enqueue time; settled exactly once as charged or refunded
+  creditCost:    { type: Number, default: 1 },
+  imagesHeld:    { type: Number, default: 0 },   // AI images included in creditCost...
+  imageCost:     { type: Number, default: 0 },   // ...at this many credits each
+  settlement: {
+    type: String,
+    enum: ['pending', 'charged', 'refunded'],
+    default: 'pending'
+  },
+  settledAt:        { type: Date, default: null },
+  settlementReason: { type: String, default: null },
+
+  instanceId:    { type: String },             // process that started the job
+  completedAt:   { type: Date, default: null },
+
+  // Worker lease: a job whose lease has expired is picked up again
+  workerId:       { type: String, default: null },
+  leaseExpiresAt: { type: Date, default: null },
+  heartbeatAt:    { type: Date, default: null },
+  startedAt:      { type: Date, default: null },
+  attempts:       { type: Number, default: 0 },
+
+  // Mongo's TTL monitor deletes the job once this date has passed
+  expiresAt:     { type: Date, required: true }
+}, { timestamps: true });
+
+GenerationJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+GenerationJobSchema.index({ status: 1, createdAt: 1 });
+GenerationJobSchema.index({ settlement: 1, status: 1 });
+
+module.exports = mongoose.model('GenerationJob', GenerationJobSchema);
@@ -0,0 +1,20 @@
+// backend/models/Notification.js
+
+const mongoose = require('mongoose');
+
+// Event for a user's open sessions (e.g. a deposit was credited). Written
+// by any process, delivered by the web process over /notifications/stream.
+const NotificationSchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true },
+  type:          { type: String, required: true },
+  data:          { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt:     { type: Date, default: Date.now }
+});
+
+NotificationSchema.index({ walletAddress: 1, _id: 1 });
+NotificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: parseInt(process.env.NOTIFICATION_TTL_HOURS || '24', 10) * 3600 }
+);
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,27 @@
+// backend/models/PricingConfig.js
+
+const mongoose = require('mongoose');
+
+// Admin-editable pricing (see services/pricing.js). A single document with
+// _id 'current'; fields left unset fall back to the built-in defaults.
+const PricingConfigSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  // 'fixed': credits per coin from `rates`; 'usd': from the price feed, at usdPerCredit
+  mode: { type: String, enum: ['fixed', 'usd'] },
+  rates: {
+    KAS: { type: Number },      // credits per 1 KAS
+    KASPER: { type: Number }    // credits per 1 KASPER
+  },
+  usdPerCredit: { type: Number },
+  // Credits per operation
+  costs: {
+    site: { type: Number },     // full-site generation
+    section: { type: Number },  // /generate-section
+    image: { type: Number },    // each AI-generated image in a full-site generation
+    export: { type: Number }    // the generated code, held with every full-site generation
+  },
+  updatedBy: { type: String, default: null },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('PricingConfig', PricingConfigSchema);
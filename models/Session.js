@@ -0,0 +1,21 @@
+// backend/models/Session.js
+
+const mongoose = require('mongoose');
+
+// A login. Access tokens are stateless and short-lived; the refresh token
+// (stored only as a hash) is rotated on every use.
+const SessionSchema = new mongoose.Schema({
+  sessionId:        { type: String, required: true, unique: true },
+  userId:           { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  walletAddress:    { type: String, required: true, index: true },
+  authMethod:       { type: String, enum: ['password', 'signature'], required: true },
+  authenticatedAt:  { type: Date, default: Date.now },   // last password/signature check
+  refreshTokenHash: { type: String, required: true },
+  lastUsedAt:       { type: Date, default: Date.now },
+  revokedAt:        { type: Date, default: null },
+  expiresAt:        { type: Date, required: true }
+});
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,36 @@
+// backend/models/Sweep.js
+
+const mongoose = require('mongoose');
+
+// One deposit UTXO moved to the treasury, recorded once the transaction
+// spending it was submitted (dry runs list what they would spend)
+const SweptInputSchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true },
+  transactionId: { type: String, required: true },   // the credited deposit
+  index:         { type: Number, required: true },
+  amountSompi:   { type: String, required: true },
+  spentBy:       { type: String, default: null }     // sweep transaction; null in dry runs
+}, { _id: false });
+
+// Log of a sweeper run. Only one run may be 'running' at a time.
+const SweepSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['running', 'done', 'failed'],
+    default: 'running'
+  },
+  dryRun:          { type: Boolean, default: false },
+  treasuryAddress: { type: String, required: true },
+  inputs:          { type: [SweptInputSchema], default: [] },
+  totalSompi:      { type: String, default: '0' },   // sum of swept inputs
+  feeSompi:        { type: String, default: '0' },
+  txids:           { type: [String], default: [] },
+  error:           { type: String, default: null },
+  startedAt:       { type: Date, default: Date.now },
+  finishedAt:      { type: Date, default: null }
+});
+
+SweepSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+SweepSchema.index({ 'inputs.transactionId': 1, 'inputs.index': 1 });
+
+module.exports = mongoose.model('Sweep', SweepSchema);
@@ -8,7 +8,7 @@ const GeneratedFileSchema = new mongoose.Schema({
   content: { type: String, required: true },
   generatedAt: { type: Date, default: Date.now }
 });
-// Track processed deposit transactions (KAS/KASPER)
+// Processed deposit transactions (KAS/KASPER), superseded by models/Deposit
 const ProcessedTransactionSchema = new mongoose.Schema({
   txid: { type: String, required: true },  // e.g. the KAS or KASPER TX hash
   coinType: { type: String },              // e.g. 'KAS' or 'KASPER'
@@ -17,20 +17,77 @@ const ProcessedTransactionSchema = new mongoose.Schema({
   timestamp: { type: Date, default: Date.now }
 });
 
+// Deposit seen on-chain but not yet deep enough to be credited
+const PendingDepositSchema = new mongoose.Schema({
+  txid: { type: String, required: true },
+  coinType: { type: String },
+  amount: { type: Number, default: 0 },
+  confirmations: { type: Number, default: 0 },  // DAA score depth; 0 = not accepted yet
+  unresolved: { type: Boolean, default: false }, // classifier couldn't tell if it's a deposit yet
+  flaggedAt: { type: Date, default: null },      // still unresolved after PENDING_DEPOSIT_TTL_HOURS
+  firstSeenAt: { type: Date, default: Date.now },
+  checkedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Transaction paying the deposit address that was deliberately not credited
+// (change from our own withdrawals, etc.); reason is a depositClassifier.REASONS value
+const IgnoredTransactionSchema = new mongoose.Schema({
+  txid: { type: String, required: true },
+  coinType: { type: String },
+  amount: { type: Number, default: 0 },
+  reason: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Progress of /scan-deposits through one coin's history (see depositService.scanHistory)
+const DepositScanStateSchema = new mongoose.Schema({
+  highWater: { type: String, default: null },  // newest activity covered by a completed walk
+  walkTop: { type: String, default: null },    // newest activity seen by the unfinished walk
+  cursor: { type: String, default: null },     // where the unfinished walk resumes
+  indexer: { type: String, default: null },    // CHAIN_INDEXER the marks and cursor came from
+  lastScanAt: { type: Date }
+}, { _id: false });
+
+function isRandomWallet() {
+  return this.walletMode !== 'derived';
+}
+
 const UserSchema = new mongoose.Schema({
   username:       { type: String, required: true, unique: true },
   walletAddress:  { type: String, required: true, unique: true },
   passwordHash:   { type: String, required: true },
-  xPrv:           { type: String, required: true },
-  mnemonic:       { type: String, required: true },
+  // 'random': own mnemonic per user; 'derived': treasury index, no per-user secrets
+  walletMode:     { type: String, enum: ['random', 'derived'], default: 'random' },
+  derivationIndex: { type: Number, unique: true, sparse: true },
+  // Address the user holds the key for, linked for wallet-signature login
+  // (services/walletAuth.js); walletAddress's key is only on the server
+  loginAddress:   { type: String, unique: true, sparse: true },
+
+  // Encrypted at rest (see services/walletSecrets.js) and never loaded
+  // unless explicitly selected with '+xPrv +mnemonic'
+  xPrv:           { type: String, required: isRandomWallet, select: false },
+  mnemonic:       { type: String, required: isRandomWallet, select: false },
   credits:        { type: Number, default: 0 },
   generatedFiles: [GeneratedFileSchema],
   
-  // NEW: Array of processed deposit TXs
+  // Deposits credited before models/Deposit existed; no longer written to,
+  // copied into the Deposit collection by services/depositReconciler.js
   processedTransactions: {
     type: [ProcessedTransactionSchema],
     default: []
   },
+  pendingDeposits: {
+    type: [PendingDepositSchema],
+    default: []
+  },
+  ignoredTransactions: {
+    type: [IgnoredTransactionSchema],
+    default: []
+  },
+  depositScan: {
+    KAS: { type: DepositScanStateSchema, default: undefined },
+    KASPER: { type: DepositScanStateSchema, default: undefined }
+  },
 
   createdAt: { type: Date, default: Date.now }
 });
@@ -0,0 +1,41 @@
+// backend/models/Withdrawal.js
+
+const mongoose = require('mongoose');
+
+// Outbound transfer from a user's custodial deposit address.
+// KAS:    pending -> submitted -> confirmed
+// KASPER: pending -> committed -> submitted (reveal sent) -> confirmed
+// Either may end in 'failed'; 'rejected' means nothing was broadcast.
+const WithdrawalSchema = new mongoose.Schema({
+  withdrawalId:   { type: String, required: true, unique: true },
+  walletAddress:  { type: String, required: true },
+  coinType:       { type: String, enum: ['KAS', 'KASPER'], default: 'KAS' },
+  toAddress:      { type: String, required: true },
+  amount:         { type: Number, required: true },     // in KAS / KASPER
+  amountSompi:    { type: String, required: true },     // exact value in base units, as a decimal string
+  feeSompi:       { type: String, default: null },      // KAS network fees
+  creditsDebited: { type: Number, default: 0 },
+  creditsPerUnit: { type: Number, default: null },     // rate the amount was converted at
+  status: {
+    type: String,
+    enum: ['pending', 'committed', 'submitted', 'confirmed', 'failed', 'rejected'],
+    default: 'pending'
+  },
+  txid:           { type: String, default: null },     // the payment (KAS) or reveal (KASPER) transaction
+  txids:          { type: [String], default: [] },     // every transaction broadcast for this withdrawal
+  chainTipHash:   { type: String, default: null },     // KAS: virtual chain tip just before the payment was broadcast
+  // KRC20 only: the inscribed operation (key order fixes the P2SH address)
+  // and its commit/reveal transactions
+  operation:      { type: mongoose.Schema.Types.Mixed, default: null },
+  commitTxid:     { type: String, default: null },
+  revealTxid:     { type: String, default: null },
+  error:          { type: String, default: null },
+  submittedAt:    { type: Date, default: null },
+  confirmedAt:    { type: Date, default: null },
+  lastCheckedAt:  { type: Date, default: null }        // claimed by the tracker in worker.js
+}, { timestamps: true });
+
+WithdrawalSchema.index({ walletAddress: 1, createdAt: -1 });
+WithdrawalSchema.index({ status: 1, lastCheckedAt: 1 });
+
+module.exports = mongoose.model('Withdrawal', WithdrawalSchema);
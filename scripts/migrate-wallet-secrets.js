@@ -0,0 +1,75 @@
+// backend/scripts/migrate-wallet-secrets.js
+//
+// Encrypts legacy plaintext xPrv/mnemonic values and re-encrypts values
+// sealed with an older master key under the current one (key rotation).
+//
+//   node scripts/migrate-wallet-secrets.js [--dry-run]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const {
+  encryptSecret,
+  decryptSecret,
+  needsReencryption
+} = require('../services/walletSecrets');
+
+const SECRET_FIELDS = ['xPrv', 'mnemonic'];
+
+async function migrate({ dryRun }) {
+  let scanned = 0;
+  let updated = 0;
+  let failed = 0;
+
+  const cursor = User.find({}).select('+xPrv +mnemonic').lean().cursor();
+  for await (const user of cursor) {
+    scanned++;
+    const changes = {};
+    try {
+      for (const field of SECRET_FIELDS) {
+        const stored = user[field];
+        if (!stored || !needsReencryption(stored)) continue;
+        const plain = decryptSecret(stored);
+        const sealed = encryptSecret(plain);
+        // never write something we can't read back
+        if (decryptSecret(sealed) !== plain) {
+          throw new Error(`round-trip check failed for ${field}`);
+        }
+        changes[field] = sealed;
+      }
+    } catch (err) {
+      failed++;
+      console.error(`User ${user.username} (${user.walletAddress}): ${err.message}`);
+      continue;
+    }
+
+    if (Object.keys(changes).length === 0) continue;
+    updated++;
+    if (!dryRun) {
+      await User.updateOne({ _id: user._id }, { $set: changes });
+    }
+  }
+
+  console.log(JSON.stringify({ scanned, updated, failed, dryRun }, null, 2));
+  return failed === 0;
+}
+
+if (require.main === module) {
+  (async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true
+      });
+      const ok = await migrate({ dryRun });
+      await mongoose.disconnect();
+      process.exit(ok ? 0 : 1);
+    } catch (err) {
+      console.error('Wallet secret migration failed:', err);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { migrate };
@@ -0,0 +1,29 @@
+// backend/scripts/reconcile-deposits.js
+//
+// Runs the deposit reconciliation once, outside the worker's schedule:
+// copies legacy processedTransactions into the Deposit collection and
+// prints any double or missing credits. Exits with 2 if it found any.
+//
+//   node scripts/reconcile-deposits.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { reconcileDeposits } = require('../services/depositReconciler');
+
+if (require.main === module) {
+  (async () => {
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true
+      });
+      const { backfilled, findings } = await reconcileDeposits();
+      console.log(JSON.stringify({ backfilled, findings }, null, 2));
+      await mongoose.disconnect();
+      process.exit(findings.length ? 2 : 0);
+    } catch (err) {
+      console.error('Deposit reconciliation failed:', err);
+      process.exit(1);
+    }
+  })();
+}
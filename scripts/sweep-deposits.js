@@ -0,0 +1,36 @@
+// backend/scripts/sweep-deposits.js
+//
+// Runs the deposit sweeper once, outside the worker's schedule. With
+// --dry-run it only logs what would be swept and the estimated fees.
+//
+//   node scripts/sweep-deposits.js [--dry-run]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { TREASURY_ADDRESS, sweepCreditedDeposits } = require('../services/sweeper');
+
+if (require.main === module) {
+  (async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    if (!TREASURY_ADDRESS) {
+      console.error('TREASURY_ADDRESS is not set.');
+      process.exit(1);
+    }
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true
+      });
+      const sweep = await sweepCreditedDeposits({ dryRun });
+      if (sweep) {
+        const { status, totalSompi, feeSompi, txids, inputs } = sweep;
+        console.log(JSON.stringify({ status, dryRun, inputs: inputs.length, totalSompi, feeSompi, txids }, null, 2));
+      }
+      await mongoose.disconnect();
+      process.exit(sweep ? 0 : 1);
+    } catch (err) {
+      console.error('Deposit sweep failed:', err);
+      process.exit(1);
+    }
+  })();
+}
@@ -2,16 +2,32 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const { Configuration, OpenAIApi } = require('openai');
 const fetch = require('node-fetch');
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 
 const { createWallet } = require('./wasm_rpc');
+const { encryptSecret } = require('./services/walletSecrets');
+const depositAddresses = require('./services/depositAddresses');
+const walletAuth = require('./services/walletAuth');
+const sessionTokens = require('./services/sessionTokens');
+const { requireAuth, requireScope, requireStreamTicket, requireRecentAuth, requireAdmin } = require('./middleware/auth');
+const apiKeys = require('./services/apiKeys');
 const User = require('./models/User');
+const jobStore = require('./services/jobStore');
+const { openEventStream } = require('./services/sse');
+const creditLedger = require('./services/creditLedger');
+const { callWithRetry } = require('./services/openaiRetry');
+const { getTextProvider, getImageProvider } = require('./services/llm');
+const { fillImagePlaceholders } = require('./services/placeholders');
+const assetStore = require('./services/assetStore');
+const notifications = require('./services/notifications');
+const withdrawals = require('./services/withdrawals');
+const { UPLOAD_TYPES, UPLOAD_MAX_BYTES, validateUpload } = require('./services/imageUpload');
 // Only fetchAndProcessUserDeposits, no initDepositSchedulers
-const { fetchAndProcessUserDeposits } = require('./services/depositService');
+const { fetchAndProcessUserDeposits, DEPOSIT_CONFIRMATIONS } = require('./services/depositService');
+const pricing = require('./services/pricing');
 
 const app = express();
 
@@ -50,36 +66,51 @@ mongoose.connect(process.env.MONGO_URI,{
   process.exit(1);
 });
 
-/**
- * Create an OpenAI client for TEXT completions
- * (Previously called "deepseek", but now it's GPT-4).
- */
-const openAiTextConfig = new Configuration({
-  apiKey: process.env.OPENAI_API_KEY,
-  basePath: 'https://api.openai.com/v1'
-});
-const openAiText = new OpenAIApi(openAiTextConfig);
-
-/**
- * Create another OpenAI client for DALL·E 3 images
- * (We keep them separate, but they use the same API key.)
- */
-const openaiImagesConfig = new Configuration({
-  apiKey: process.env.OPENAI_API_KEY,
-  basePath: 'https://api.openai.com/v1'
-});
-const openaiImages = new OpenAIApi(openaiImagesConfig);
-
 /**************************************************
- * In-Memory
+ * Helpers
  **************************************************/
-const progressMap={};
+// Queued (not yet claimed) jobs allowed before /start-generation returns 503
+const MAX_QUEUED_JOBS=parseInt(process.env.MAX_QUEUED_JOBS||'50',10);
+// How often /progress/stream re-reads the job document
+const PROGRESS_STREAM_POLL_MS=parseInt(process.env.PROGRESS_STREAM_POLL_MS||'500',10);
+// How often /notifications/stream checks for new notifications
+const NOTIFICATION_POLL_MS=parseInt(process.env.NOTIFICATION_POLL_MS||'2000',10);
+// Withdrawals need a password/signature login at most this old
+const WITHDRAW_REAUTH_MS=parseInt(process.env.WITHDRAW_REAUTH_MS||String(5*60*1000),10);
+// Linking a sign-in wallet needs a password/signature login at most this old
+const LINK_WALLET_REAUTH_MS=parseInt(process.env.LINK_WALLET_REAUTH_MS||String(5*60*1000),10);
+
 function generateRequestId(){
   return crypto.randomBytes(8).toString('hex');
 }
 function sanitizeFilename(name){
   return name.replace(/[^a-zA-Z0-9_-]/g,"_");
 }
+// Deposits seen on-chain but not yet deep enough to be credited, valued at
+// today's rates (credits is null if the rate is unavailable)
+async function pendingBalance(user){
+  const rates={};
+  for(const coin of pricing.COIN_TYPES){
+    rates[coin]= await pricing.creditRate(coin).then(r=>r.creditsPerUnit,()=>null);
+  }
+  const pendingDeposits=(user.pendingDeposits||[]).map(d=>({
+    txid:d.txid,
+    coinType:d.coinType,
+    amount:d.amount,
+    credits:rates[d.coinType]==null?null:d.amount*rates[d.coinType],
+    confirmations:d.confirmations,
+    requiredConfirmations:d.coinType==='KAS'?DEPOSIT_CONFIRMATIONS:null,
+    firstSeenAt:d.firstSeenAt
+  }));
+  return {
+    pendingCredits:pendingDeposits.reduce((sum,d)=>sum+(d.credits||0),0),
+    pendingDeposits
+  };
+}
+// Jobs are only visible to the wallet that started them
+function ownsJob(req,job){
+  return job.walletAddress===req.auth.walletAddress;
+}
 
 /**************************************************
  * GET /
@@ -89,12 +120,13 @@ app.get('/',(req,res)=>{
 });
 
 /**************************************************
- * POST /start-generation (1 credit)
+ * POST /start-generation (site + export cost + image cost per AI image, see GET /pricing)
  **************************************************/
-app.post('/start-generation', async(req,res)=>{
-  const { walletAddress, userInputs }=req.body;
-  if(!walletAddress||!userInputs){
-    return res.status(400).json({error:"walletAddress and userInputs are required."});
+app.post('/start-generation', requireScope('generate'), async(req,res)=>{
+  const {walletAddress}=req.auth;
+  const {userInputs}=req.body;
+  if(!userInputs){
+    return res.status(400).json({error:"userInputs is required."});
   }
   const { coinName, colorPalette, projectType, themeSelection, projectDesc }= userInputs;
   if(!projectType||!['nft','token'].includes(projectType.toLowerCase())){
@@ -105,32 +137,42 @@ app.post('/start-generation', async(req,res)=>{
   }
 
   try{
-    // Deduct 1 credit
-    const user= await User.findOneAndUpdate(
-      {walletAddress,credits:{$gte:1}},
-      {$inc:{credits:-1}},
-      {new:true}
-    );
+    // Uploaded branding replaces the generated logo / hero image
+    for(const field of ['logoAssetId','heroAssetId']){
+      if(!userInputs[field]) continue;
+      const assetId= assetStore.parseAssetId(userInputs[field]);
+      if(!assetId||!(await assetStore.assetExists(assetId))){
+        return res.status(400).json({error:`${field} does not refer to an uploaded image.`});
+      }
+      userInputs[field]= assetId;
+    }
+
+    // Push back on bursts instead of growing an unbounded queue
+    if(await jobStore.countQueuedJobs()>=MAX_QUEUED_JOBS){
+      return res.status(503).json({error:"Too many generations in progress. Please try again shortly."});
+    }
+
+    // Hold the site and export cost plus each image the worker should generate
+    // (uploaded branding isn't generated); the job settles it as charged or
+    // refunded, and images the worker didn't produce are refunded then
+    const requestId= generateRequestId();
+    const imageProvider= getImageProvider();
+    const images= imageProvider&&imageProvider.imageModels.length
+      ? ['logoAssetId','heroAssetId'].filter(field=>!userInputs[field]).length
+      : 0;
+    const {cost,imageCost}= await pricing.generationCost({images});
+    const user= await creditLedger.debitCredits(walletAddress,cost,{kind:'generation-debit',requestId});
     if(!user){
       return res.status(400).json({error:"Insufficient credits or invalid wallet address."});
     }
 
-    const requestId= generateRequestId();
-    progressMap[requestId]={
-      status:'in-progress',
-      progress:0,
-      code:null,
-      images:{}
-    };
-
-    doWebsiteGeneration(requestId,userInputs,user).catch(err=>{
-      console.error("Background generation error:",err);
-      progressMap[requestId].status='error';
-      progressMap[requestId].progress=100;
-      // Refund
-      User.findOneAndUpdate({walletAddress},{$inc:{credits:1}})
-      .catch(refundErr=>console.error("Failed to refund credit:",refundErr));
-    });
+    // The worker process (worker.js) picks the job up from the queue
+    try{
+      await jobStore.createJob({requestId,walletAddress,userInputs,creditCost:cost,imagesHeld:images,imageCost});
+    }catch(jobErr){
+      await creditLedger.refundCredits(walletAddress,cost,{kind:'generation-refund',requestId,reason:'Failed to enqueue job.'});
+      throw jobErr;
+    }
 
     return res.json({requestId});
   } catch(err){
@@ -139,68 +181,210 @@ app.post('/start-generation', async(req,res)=>{
   }
 });
 
+/**************************************************
+ * POST /cancel-generation (refunds the credit)
+ **************************************************/
+app.post('/cancel-generation', requireScope('generate'), async(req,res)=>{
+  const {walletAddress}=req.auth;
+  const {requestId}=req.body;
+  if(!requestId){
+    return res.status(400).json({success:false,error:"requestId is required."});
+  }
+  try{
+    const job= await jobStore.getJob(requestId);
+    if(!job){
+      return res.status(400).json({success:false,error:"Invalid or missing requestId"});
+    }
+    if(job.walletAddress!==walletAddress){
+      return res.status(403).json({success:false,error:"Only the wallet that started this generation can cancel it."});
+    }
+    // The worker notices the status change on its next heartbeat and aborts
+    const cancelled= await jobStore.cancelJob(requestId,walletAddress);
+    if(!cancelled){
+      return res.status(409).json({success:false,error:"Generation has already finished."});
+    }
+    await creditLedger.settleGenerationJob(requestId,'refunded','Cancelled by user.');
+    const user= await User.findOne({walletAddress});
+    return res.json({success:true,status:cancelled.status,credits:user?user.credits:undefined});
+  }catch(err){
+    console.error("Error cancelling generation:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
 /**************************************************
  * GET /progress?requestId=XYZ
  **************************************************/
-app.get('/progress',(req,res)=>{
+app.get('/progress', requireScope('read'), async(req,res)=>{
+  const {requestId}=req.query;
+  try{
+    const job= await jobStore.getJob(requestId);
+    if(!job){
+      return res.status(400).json({error:"Invalid or missing requestId"});
+    }
+    if(!ownsJob(req,job)){
+      return res.status(403).json({error:"This generation belongs to another wallet."});
+    }
+    const {status,progress,stage}= job;
+    return res.json({status,progress,stage});
+  }catch(err){
+    console.error("Error fetching progress:",err);
+    return res.status(500).json({error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * POST /stream-ticket
+ * { stream: 'progress', requestId } or { stream: 'notifications' }
+ * => short-lived ticket for opening that stream with ?ticket=
+ **************************************************/
+app.post('/stream-ticket', requireAuth, async(req,res)=>{
+  const {stream,requestId}=req.body;
+  try{
+    if(stream==='progress'){
+      const job= await jobStore.getJob(requestId);
+      if(!job){
+        return res.status(400).json({success:false,error:"Invalid or missing requestId"});
+      }
+      if(!ownsJob(req,job)){
+        return res.status(403).json({success:false,error:"This generation belongs to another wallet."});
+      }
+      return res.json({success:true,...sessionTokens.createStreamTicket(req.auth,`progress:${requestId}`)});
+    }
+    if(stream==='notifications'){
+      return res.json({success:true,...sessionTokens.createStreamTicket(req.auth,'notifications')});
+    }
+    return res.status(400).json({success:false,error:"stream must be 'progress' or 'notifications'."});
+  }catch(err){
+    console.error("Error issuing stream ticket:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * GET /progress/stream?requestId=XYZ&ticket=... (Server-Sent Events)
+ * Events: stage, tokens, preview (HTML appended at offset), done
+ **************************************************/
+app.get('/progress/stream', requireStreamTicket(req=>`progress:${req.query.requestId}`,requireScope('read')), async(req,res)=>{
   const {requestId}=req.query;
-  if(!requestId||!progressMap[requestId]){
+  let job;
+  try{
+    job= await jobStore.getJob(requestId);
+  }catch(err){
+    console.error("Error opening progress stream:",err);
+    return res.status(500).json({error:"Internal server error."});
+  }
+  if(!job){
     return res.status(400).json({error:"Invalid or missing requestId"});
   }
-  const {status,progress}= progressMap[requestId];
-  return res.json({status,progress});
+  if(!ownsJob(req,job)){
+    return res.status(403).json({error:"This generation belongs to another wallet."});
+  }
+
+  let timer=null;
+  const stream=openEventStream(req,res,()=>clearTimeout(timer));
+  let lastStage=null;
+  let lastTokens=-1;
+  let sentChars=0;
+
+  // Send whatever changed since the last poll; false once the job is finished
+  const push=(current)=>{
+    if(current.stage!==lastStage){
+      lastStage=current.stage;
+      stream.send('stage',{stage:current.stage,status:current.status,progress:current.progress});
+    }
+    if(current.tokenCount!==lastTokens){
+      lastTokens=current.tokenCount;
+      stream.send('tokens',{tokenCount:current.tokenCount,progress:current.progress});
+    }
+    const partial=current.partialCode||'';
+    if(partial.length<sentChars){
+      // job was restarted by another worker, client should reset its preview
+      sentChars=0;
+    }
+    if(partial.length>sentChars){
+      stream.send('preview',{offset:sentChars,html:partial.slice(sentChars)});
+      sentChars=partial.length;
+    }
+    if(['done','error','cancelled'].includes(current.status)){
+      stream.send('done',{status:current.status,progress:current.progress,error:current.error});
+      stream.close();
+      return false;
+    }
+    return true;
+  };
+
+  const poll=async()=>{
+    try{
+      const current= await jobStore.getJob(requestId);
+      if(!current){
+        stream.send('done',{status:'expired'});
+        return stream.close();
+      }
+      if(!push(current)) return;
+    }catch(err){
+      console.error("Error polling progress stream:",err);
+    }
+    if(!stream.closed) timer=setTimeout(poll,PROGRESS_STREAM_POLL_MS);
+  };
+
+  if(push(job)) timer=setTimeout(poll,PROGRESS_STREAM_POLL_MS);
 });
 
 /**************************************************
  * GET /result?requestId=XYZ
  **************************************************/
-app.get('/result',(req,res)=>{
+app.get('/result', requireScope('read'), async(req,res)=>{
   const {requestId}= req.query;
-  if(!requestId||!progressMap[requestId]){
+  let job;
+  try{
+    job= await jobStore.getJob(requestId);
+  }catch(err){
+    console.error("Error fetching result:",err);
+    return res.status(500).json({error:"Internal server error."});
+  }
+  if(!job){
     return res.status(400).json({error:"Invalid or missing requestId"});
   }
-  const {status,code,images}= progressMap[requestId];
+  if(!ownsJob(req,job)){
+    return res.status(403).json({error:"This generation belongs to another wallet."});
+  }
+  const {status,code}= job;
+  const images= job.images||{};
   if(status!=='done'){
     return res.status(400).json({error:"Not finished or generation error."});
   }
-  let finalCode= code;
-  if(images.navLogo){
-    finalCode= finalCode.replace(/NAV_IMAGE_PLACEHOLDER/g, images.navLogo);
-  }
-  if(images.heroBg){
-    finalCode= finalCode.replace(/HERO_BG_PLACEHOLDER/g, images.heroBg);
-  }
-  if(images.footerImg){
-    finalCode= finalCode.replace(/FOOTER_IMAGE_PLACEHOLDER/g, images.footerImg);
-  }
+  const finalCode= fillImagePlaceholders(code,images);
   return res.json({code:finalCode});
 });
 
 /**************************************************
  * GET /export?requestId=XYZ&type=full|wordpress
  **************************************************/
-app.get('/export',(req,res)=>{
+app.get('/export', requireScope('export'), async(req,res)=>{
   const {requestId,type}= req.query;
-  if(!requestId||!progressMap[requestId]){
+  let job;
+  try{
+    job= await jobStore.getJob(requestId);
+  }catch(err){
+    console.error("Error fetching export:",err);
+    return res.status(500).json({error:"Internal server error."});
+  }
+  if(!job){
     return res.status(400).json({error:"Invalid or missing requestId"});
   }
-  const {status,code,images}= progressMap[requestId];
+  if(!ownsJob(req,job)){
+    return res.status(403).json({error:"This generation belongs to another wallet."});
+  }
+  const {status,code}= job;
+  const images= job.images||{};
   if(status!=='done'){
     return res.status(400).json({error:"Generation not completed or encountered an error."});
   }
   if(!type||!['full','wordpress'].includes(type)){
     return res.status(400).json({error:"Invalid or missing export type. Use 'full' or 'wordpress'."});
   }
-  let finalCode= code;
-  if(images.navLogo){
-    finalCode= finalCode.replace(/NAV_IMAGE_PLACEHOLDER/g, images.navLogo);
-  }
-  if(images.heroBg){
-    finalCode= finalCode.replace(/HERO_BG_PLACEHOLDER/g, images.heroBg);
-  }
-  if(images.footerImg){
-    finalCode= finalCode.replace(/FOOTER_IMAGE_PLACEHOLDER/g, images.footerImg);
-  }
+  const finalCode= fillImagePlaceholders(code,images);
   const filename= sanitizeFilename(requestId);
   if(type==='full'){
     res.setHeader('Content-Type','text/html');
@@ -226,25 +410,184 @@ ${finalCode}
 });
 
 /**************************************************
- * GET /get-credits?walletAddress=XYZ
+ * GET /assets/:id (content-addressed, cache forever)
  **************************************************/
-app.get('/get-credits', async(req,res)=>{
-  const {walletAddress}=req.query;
-  if(!walletAddress){
-    return res.status(400).json({success:false,error:"walletAddress is required."});
+app.get('/assets/:id', async(req,res)=>{
+  const assetId=String(req.params.id).replace(/\.[a-z0-9]+$/i,'').toLowerCase();
+  if(!/^[a-f0-9]{64}$/.test(assetId)){
+    return res.status(404).json({error:"Asset not found."});
+  }
+  const etag=`"${assetId}"`;
+  if(req.headers['if-none-match']===etag){
+    return res.status(304).end();
   }
+  try{
+    const found= await assetStore.openAsset(assetId);
+    if(!found){
+      return res.status(404).json({error:"Asset not found."});
+    }
+    res.setHeader('Content-Type',found.asset.contentType);
+    res.setHeader('Content-Length',found.asset.size);
+    res.setHeader('Cache-Control','public, max-age=31536000, immutable');
+    res.setHeader('ETag',etag);
+    res.setHeader('X-Content-Type-Options','nosniff');
+    // SVGs are served from our origin, so never let them run scripts
+    res.setHeader('Content-Security-Policy',"default-src 'none'; style-src 'unsafe-inline'");
+    found.stream.on('error',err=>{
+      console.error("Error streaming asset:",err);
+      res.destroy(err);
+    });
+    found.stream.pipe(res);
+  }catch(err){
+    console.error("Error serving asset:",err);
+    return res.status(500).json({error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * POST /upload-asset
+ * Raw image body: Content-Type image/png, image/jpeg, image/svg+xml or image/webp.
+ * Pass the returned assetId as userInputs.logoAssetId / heroAssetId.
+ **************************************************/
+app.post('/upload-asset', requireScope('generate'), express.raw({type:UPLOAD_TYPES,limit:UPLOAD_MAX_BYTES}), async(req,res)=>{
+  const {walletAddress}=req.auth;
+  if(!Buffer.isBuffer(req.body)){
+    return res.status(400).json({success:false,error:`Send the image as the request body with Content-Type ${UPLOAD_TYPES.join(', ')}.`});
+  }
+  try{
+    if(!(await User.exists({walletAddress}))){
+      return res.status(400).json({success:false,error:"Invalid wallet address."});
+    }
+    const declaredType=(req.headers['content-type']||'').split(';')[0].trim().toLowerCase();
+    const checked= validateUpload(req.body,declaredType);
+    if(!checked.success){
+      return res.status(400).json({success:false,error:checked.error});
+    }
+    const asset= await assetStore.saveAsset(checked.buffer,{
+      contentType:checked.contentType,
+      source:'upload',
+      walletAddress,
+      width:checked.width,
+      height:checked.height
+    });
+    return res.json({
+      success:true,
+      assetId:asset.assetId,
+      url:assetStore.assetUrl(asset.assetId),
+      contentType:asset.contentType,
+      width:asset.width,
+      height:asset.height
+    });
+  }catch(err){
+    console.error("Error uploading asset:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * GET /get-credits
+ **************************************************/
+app.get('/get-credits', requireAuth, async(req,res)=>{
+  const {walletAddress}=req.auth;
   try{
     const user= await User.findOne({walletAddress});
     if(!user){
       return res.status(400).json({success:false,error:"Invalid wallet address."});
     }
-    return res.json({success:true, credits:user.credits});
+    return res.json({success:true, credits:user.credits, ...(await pendingBalance(user))});
   }catch(err){
     console.error("Error fetching credits:",err);
     return res.status(500).json({success:false,error:"Internal server error."});
   }
 });
 
+/**************************************************
+ * GET /pricing
+ * Current deposit rates (credits per coin) and credit cost per operation
+ **************************************************/
+app.get('/pricing', async(req,res)=>{
+  try{
+    const {mode,usdPerCredit,costs,updatedAt}= await pricing.getPricing();
+    const rates={};
+    for(const coin of pricing.COIN_TYPES){
+      rates[coin]= await pricing.creditRate(coin).catch(()=>null);
+    }
+    return res.json({success:true, mode, usdPerCredit:mode==='usd'?usdPerCredit:null, rates, costs, updatedAt});
+  }catch(err){
+    console.error("Error fetching pricing:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * PUT /admin/pricing
+ * { mode?, rates?: {KAS, KASPER}, usdPerCredit?, costs?: {site, section, image, export} }
+ * Partial update; only wallets in ADMIN_WALLETS
+ **************************************************/
+app.put('/admin/pricing', requireAuth, requireAdmin, async(req,res)=>{
+  try{
+    const result= await pricing.updatePricing(req.body, {updatedBy:req.auth.walletAddress});
+    if(!result.success){
+      return res.status(400).json(result);
+    }
+    return res.json(result);
+  }catch(err){
+    console.error("Error updating pricing:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * GET /get-credit-history
+ **************************************************/
+app.get('/get-credit-history', requireAuth, async(req,res)=>{
+  const {walletAddress}=req.auth;
+  try{
+    const entries= await creditLedger.getLedger(walletAddress);
+    return res.json({
+      success:true,
+      history:entries.map(e=>({
+        delta:e.delta,
+        kind:e.kind,
+        requestId:e.requestId,
+        reason:e.reason,
+        balanceAfter:e.balanceAfter,
+        createdAt:e.createdAt
+      }))
+    });
+  }catch(err){
+    console.error("Error fetching credit history:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * GET /notifications/stream?ticket=... (Server-Sent Events)
+ * Events: deposit { txid, coinType, amount, creditsAdded, credits }
+ **************************************************/
+app.get('/notifications/stream', requireStreamTicket(()=>'notifications',requireAuth), (req,res)=>{
+  const {walletAddress}=req.auth;
+  let timer=null;
+  const stream=openEventStream(req,res,()=>clearTimeout(timer));
+  // Resume after the last delivered event, or start from now
+  let lastId=req.headers['last-event-id']||null;
+  const since=new Date();
+
+  const poll=async()=>{
+    try{
+      const pending= await notifications.listNotifications(walletAddress,{afterId:lastId,since});
+      for(const n of pending){
+        stream.send(n.type,n.data,String(n._id));
+        lastId=String(n._id);
+      }
+    }catch(err){
+      console.error("Error polling notifications:",err);
+    }
+    if(!stream.closed) timer=setTimeout(poll,NOTIFICATION_POLL_MS);
+  };
+  poll();
+});
+
 /**************************************************
  * POST /create-wallet
  **************************************************/
@@ -258,25 +601,40 @@ app.post('/create-wallet', async(req,res)=>{
     if(existingUser){
       return res.status(400).json({success:false,error:"Username already exists. Please choose another one."});
     }
-    const walletData=await createWallet();
+    // derived: next index under the treasury xpub; random: fresh mnemonic per user
+    const derived= depositAddresses.WALLET_MODE==='derived';
+    const walletData= derived
+      ? await depositAddresses.allocateDepositAddress()
+      : await createWallet();
     if(!walletData.success){
+      console.error("Wallet creation failed:",walletData.error);
       return res.status(500).json({success:false,error:"Wallet creation failed."});
     }
-    const {receivingAddress,xPrv,mnemonic}=walletData;
+    const {receivingAddress,xPrv,mnemonic,derivationIndex}=walletData;
     const saltRounds=10;
     const passwordHash=await bcrypt.hash(password,saltRounds);
 
-    const newUser=new User({
+    const newUser=new User(derived ? {
       username,
       walletAddress:receivingAddress,
       passwordHash,
-      xPrv,
-      mnemonic,
+      walletMode:'derived',
+      derivationIndex,
+      credits:1,
+      generatedFiles:[]
+    } : {
+      username,
+      walletAddress:receivingAddress,
+      passwordHash,
+      walletMode:'random',
+      xPrv:encryptSecret(xPrv),
+      mnemonic:encryptSecret(mnemonic),
       credits:1,
       generatedFiles:[]
     });
     await newUser.save();
-    return res.json({success:true, walletAddress:receivingAddress});
+    const tokens= await sessionTokens.createSession(newUser,'password');
+    return res.json({success:true, walletAddress:receivingAddress, ...tokens});
   }catch(err){
     if(err.code===11000&&err.keyPattern&&err.keyPattern.username){
       return res.status(400).json({success:false,error:"Username already exists. Please choose another one."});
@@ -303,12 +661,14 @@ app.post('/connect-wallet', async(req,res)=>{
     if(!match){
       return res.status(400).json({success:false,error:"Invalid wallet address or password."});
     }
+    const tokens= await sessionTokens.createSession(user,'password');
     return res.json({
       success:true,
       username:user.username,
       walletAddress:user.walletAddress,
       credits:user.credits,
-      generatedFiles:user.generatedFiles
+      generatedFiles:user.generatedFiles,
+      ...tokens
     });
   }catch(err){
     console.error("Error connecting wallet:",err);
@@ -317,32 +677,253 @@ app.post('/connect-wallet', async(req,res)=>{
 });
 
 /**************************************************
- * POST /scan-deposits
+ * GET /auth/challenge?walletAddress=XYZ
+ * walletAddress is the user's own wallet, linked with /auth/link-wallet
  **************************************************/
-app.post('/scan-deposits', async(req,res)=>{
-  const {walletAddress}=req.body;
+app.get('/auth/challenge', async(req,res)=>{
+  const {walletAddress}=req.query;
   if(!walletAddress){
-    return res.status(400).json({success:false,error:"Missing walletAddress"});
+    return res.status(400).json({success:false,error:"walletAddress is required."});
+  }
+  try{
+    const {nonce,message,expiresAt}= await walletAuth.issueChallenge(walletAddress);
+    return res.json({success:true,nonce,message,expiresAt});
+  }catch(err){
+    console.error("Error issuing auth challenge:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * POST /auth/verify
+ * { walletAddress, nonce, signature, publicKey } where signature is
+ * signMessage() over the challenge message
+ **************************************************/
+app.post('/auth/verify', async(req,res)=>{
+  const {walletAddress,nonce,signature,publicKey}= req.body;
+  if(!walletAddress||!nonce||!signature||!publicKey){
+    return res.status(400).json({success:false,error:"walletAddress, nonce, signature and publicKey are required."});
   }
   try{
-    await fetchAndProcessUserDeposits(walletAddress);
+    const result= await walletAuth.verifyChallenge({walletAddress,nonce,signature,publicKey});
+    if(!result.success){
+      return res.status(401).json({success:false,error:result.error});
+    }
+    const {user}=result;
+    const tokens= await sessionTokens.createSession(user,'signature');
+    return res.json({
+      success:true,
+      username:user.username,
+      walletAddress:user.walletAddress,
+      credits:user.credits,
+      generatedFiles:user.generatedFiles,
+      ...tokens
+    });
+  }catch(err){
+    console.error("Error verifying wallet signature:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * GET /auth/link-challenge?address=XYZ
+ * Challenge for linking a wallet the user holds, for signature login
+ **************************************************/
+app.get('/auth/link-challenge', requireAuth, async(req,res)=>{
+  const {address}=req.query;
+  if(!address){
+    return res.status(400).json({success:false,error:"address is required."});
+  }
+  try{
+    const {nonce,message,expiresAt}= await walletAuth.issueChallenge(address,{purpose:'link',accountAddress:req.auth.walletAddress});
+    return res.json({success:true,nonce,message,expiresAt});
+  }catch(err){
+    console.error("Error issuing link challenge:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * POST /auth/link-wallet
+ * { address, nonce, signature, publicKey } where signature is
+ * signMessage() over the /auth/link-challenge message.
+ * Requires a fresh login (see LINK_WALLET_REAUTH_MS).
+ **************************************************/
+app.post('/auth/link-wallet', requireAuth, requireRecentAuth(LINK_WALLET_REAUTH_MS), async(req,res)=>{
+  const {address,nonce,signature,publicKey}= req.body;
+  if(!address||!nonce||!signature||!publicKey){
+    return res.status(400).json({success:false,error:"address, nonce, signature and publicKey are required."});
+  }
+  try{
+    const result= await walletAuth.linkLoginAddress(req.auth.walletAddress,{address,nonce,signature,publicKey});
+    if(!result.success){
+      return res.status(400).json({success:false,error:result.error});
+    }
+    return res.json({success:true,loginAddress:address});
+  }catch(err){
+    console.error("Error linking wallet:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * POST /auth/refresh
+ * { refreshToken } => new accessToken + refreshToken (the old one stops working)
+ **************************************************/
+app.post('/auth/refresh', async(req,res)=>{
+  const {refreshToken}= req.body;
+  if(!refreshToken){
+    return res.status(400).json({success:false,error:"refreshToken is required."});
+  }
+  try{
+    const tokens= await sessionTokens.refreshSession(refreshToken);
+    if(!tokens){
+      return res.status(401).json({success:false,error:"Session is invalid or expired."});
+    }
+    return res.json({success:true,...tokens});
+  }catch(err){
+    console.error("Error refreshing session:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * POST /auth/logout
+ **************************************************/
+app.post('/auth/logout', requireAuth, async(req,res)=>{
+  try{
+    await sessionTokens.revokeSession(req.auth.sessionId);
+    return res.json({success:true});
+  }catch(err){
+    console.error("Error logging out:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * POST /api-keys
+ * { name, scopes: ['generate','read','export'], rateLimitPerMinute? }
+ * The returned apiKey is shown once; send it as "Authorization: Bearer <apiKey>".
+ **************************************************/
+app.post('/api-keys', requireAuth, async(req,res)=>{
+  const {name,scopes,rateLimitPerMinute}= req.body;
+  try{
+    const user= await User.findOne({walletAddress:req.auth.walletAddress});
+    if(!user){
+      return res.status(400).json({success:false,error:"Invalid wallet address."});
+    }
+    const created= await apiKeys.createApiKey(user,{name,scopes,rateLimitPerMinute});
+    if(!created.success){
+      return res.status(400).json({success:false,error:created.error});
+    }
+    return res.json({success:true,apiKey:created.apiKey,key:created.key});
+  }catch(err){
+    console.error("Error creating API key:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * GET /api-keys
+ **************************************************/
+app.get('/api-keys', requireAuth, async(req,res)=>{
+  try{
+    const keys= await apiKeys.listApiKeys(req.auth.walletAddress);
+    return res.json({success:true,keys});
+  }catch(err){
+    console.error("Error listing API keys:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * POST /api-keys/:keyId/revoke
+ **************************************************/
+app.post('/api-keys/:keyId/revoke', requireAuth, async(req,res)=>{
+  try{
+    const key= await apiKeys.revokeApiKey(req.auth.walletAddress,req.params.keyId);
+    if(!key){
+      return res.status(404).json({success:false,error:"API key not found."});
+    }
+    return res.json({success:true,key});
+  }catch(err){
+    console.error("Error revoking API key:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * POST /scan-deposits
+ * Response includes a per-coin `scan` report (pages read, complete, resume cursor,
+ * and `outcomes`: how many transactions were credited or skipped, by reason)
+ **************************************************/
+app.post('/scan-deposits', requireAuth, async(req,res)=>{
+  const {walletAddress}=req.auth;
+  try{
+    const scan= await fetchAndProcessUserDeposits(walletAddress);
     const user=await User.findOne({walletAddress});
     if(!user){
       return res.status(404).json({success:false,error:"User not found"});
     }
-    return res.json({success:true, credits:user.credits});
+    return res.json({success:true, credits:user.credits, ...(await pendingBalance(user)), scan});
   }catch(err){
     console.error("Error scanning deposits on demand:",err);
     return res.status(500).json({success:false,error:"Failed to scan deposits"});
   }
 });
 
+/**************************************************
+ * POST /withdraw
+ * { toAddress, amount, coinType: 'KAS' (default) | 'KASPER' }.
+ * Debits the amount + network fees in credits.
+ * Requires a fresh login (see WITHDRAW_REAUTH_MS).
+ **************************************************/
+app.post('/withdraw', requireAuth, requireRecentAuth(WITHDRAW_REAUTH_MS), async(req,res)=>{
+  const {toAddress,amount,coinType='KAS'}= req.body;
+  if(!toAddress||amount===undefined){
+    return res.status(400).json({success:false,error:"toAddress and amount are required."});
+  }
+  if(!['KAS','KASPER'].includes(coinType)){
+    return res.status(400).json({success:false,error:"coinType must be 'KAS' or 'KASPER'."});
+  }
+  try{
+    const withdraw= coinType==='KASPER' ? withdrawals.withdrawKasper : withdrawals.withdrawKas;
+    const result= await withdraw(req.auth.walletAddress,{toAddress,amount});
+    if(!result.success){
+      return res.status(result.status).json({
+        success:false,
+        error:result.error,
+        withdrawal:result.withdrawal,
+        credits:result.credits
+      });
+    }
+    return res.json({success:true,withdrawal:result.withdrawal,credits:result.credits});
+  }catch(err){
+    console.error("Error processing withdrawal:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
+/**************************************************
+ * GET /withdrawals
+ **************************************************/
+app.get('/withdrawals', requireAuth, async(req,res)=>{
+  try{
+    const history= await withdrawals.listWithdrawals(req.auth.walletAddress);
+    return res.json({success:true,withdrawals:history});
+  }catch(err){
+    console.error("Error fetching withdrawals:",err);
+    return res.status(500).json({success:false,error:"Internal server error."});
+  }
+});
+
 /**************************************************
  * POST /save-generated-file
  **************************************************/
-app.post('/save-generated-file', async(req,res)=>{
-  const {walletAddress,requestId,content}= req.body;
-  if(!walletAddress||!requestId||!content){
+app.post('/save-generated-file', requireAuth, async(req,res)=>{
+  const {walletAddress}=req.auth;
+  const {requestId,content}= req.body;
+  if(!requestId||!content){
     return res.status(400).json({success:false,error:"All fields are required."});
   }
   try{
@@ -352,7 +933,7 @@ app.post('/save-generated-file', async(req,res)=>{
     }
     user.generatedFiles.push({
       requestId,
-      content,
+      content: await assetStore.rewriteHtmlAssets(content,{walletAddress}),
       generatedAt:new Date()
     });
     await user.save();
@@ -364,13 +945,10 @@ app.post('/save-generated-file', async(req,res)=>{
 });
 
 /**************************************************
- * GET /get-user-generations?walletAddress=XYZ
+ * GET /get-user-generations
  **************************************************/
-app.get('/get-user-generations', async(req,res)=>{
-  const {walletAddress}= req.query;
-  if(!walletAddress){
-    return res.status(400).json({success:false,error:"Missing walletAddress."});
-  }
+app.get('/get-user-generations', requireAuth, async(req,res)=>{
+  const {walletAddress}= req.auth;
   try{
     const user=await User.findOne({walletAddress}).lean();
     if(!user){
@@ -400,207 +978,34 @@ app.get('/get-user-generations', async(req,res)=>{
   }
 });
 
-/**************************************************
- * MAIN background generation function
- **************************************************/
-async function doWebsiteGeneration(requestId, userInputs, user){
-  try{
-    const { coinName, colorPalette, projectType, themeSelection, projectDesc } = userInputs || {};
-    progressMap[requestId].progress = 10;
-
-    const snippetInspiration=`
-<html>
-<head>
-  <style>
-    /* Example gradient & shimmer */
-    body {
-      margin: 0; padding: 0;
-      font-family: sans-serif;
-    }
-    .shimmer-bg {
-      background: linear-gradient(90deg, rgba(255,255,255,0.1) 0%, rgba(255,255,255,0.3) 50%, rgba(255,255,255,0.1) 100%);
-      background-size:200% 200%;
-      animation: shimmerMove 2s infinite;
-    }
-    @keyframes shimmerMove {
-      0% { background-position:-200% 0;}
-      100%{ background-position:200% 0;}
-    }
-  </style>
-</head>
-<body>
-  <!-- snippet with shimmer -->
-</body>
-</html>
-`;
-
-    let systemPrompt=`
-    You are a website building ai for my app. Create a full finished beautiful site each time and Generate the single HTML file with EXACT comment markers for each section: 
-<!-- SECTION: nav -->, <!-- END: NAV --> .  and the file must be like this <!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8"/>
-  <style>
-{css}
-  </style>
-</head>
-<body>
-{html}
-</body>
-</html> its integral for my app to work. Make sure to properly layout sites. heading then under it subheading. that type of normal human center vertical layout but give a grid layout to components like cards. The best in the business. utilizing modern styling and css animations. gradients. glass cards.
-- Use a gradient of "${colorPalette}" plus the a "${themeSelection}" theme for the color scheming of the background and give an opposite contrast for the components. all sections backgrounds should have a "${themeSelection}" gradient theming following our colors.  keep a consistent theming across the site, gradient and nice looks. 
-- Think of the cleanest best websites like apple and others. thats how we need it, not some old 2018 structure.
-- Make all sections fully responsive with strong spacing, advanced transitions, glassmorphism, gradient text, etc. Advanced CSS, fade in animations hover animations etc.
-- For all the sections except nav and footer, first a heading then under it a subheading, then under that the content. stop putting the heading next to the subheading or the subheading next to the content. it has to be stacked like a normal website.
-- Separate sections in this order a nice css js flow between all sections with fade in and those type of anims:
-- Buttons are placeholders only. Not clickable.
-- Every element must be thought to match/contrast with the other elements and make sure there is a nice flow. 
-- No leftover code fences just the raw output as i will insert to an iframe, no text just code.
-
-Use snippet below for partial inspiration (no code fences):
-${snippetInspiration}
-    `;
-
-    // If NFT or token, add more specifics
-    if(projectType.toLowerCase() === 'nft'){
-      systemPrompt += `
-the file must be like this <!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8"/>
-  <style>
-{css}
-  </style>
-</head>
-<body>
-{html}
-</body>
-</html>
-     You are a website building ai now building a site for the crypto nft project "${coinName}". here is a quick description of the project "${projectDesc}" Generate the single HTML file with EXACT comment markers for each section:
-     <!-- SECTION: nav -->, <!-- END: NAV --> .The best in the business. making an nft website. utilizing modern styling and css animations. gradients. glass cards. "${colorPalette}" is the color palette for tones. and a "${themeSelection}" theme for the site
-      make sure to have all these sections.
-      1) Modern Looking glass Nav (non-sticky) with a 256x256 transparent token logo fit to a nice size => "NAV_IMAGE_PLACEHOLDER" on the left side and on the right side some placeholder nav links that don't work. make sure the image and links are on the same horizontal block and on the left and right like requested. advanced and creative CSS and js (Also repeated in footer as "FOOTER_IMAGE_PLACEHOLDER", same image). 
-        2) Modern Big glass hero with a image named (i will replace it) "HERO_BG_PLACEHOLDER" (1024x1024).proper spacing for the heading and subheading. its our splash page. center text. nicely sized cards Must show coin name "${coinName}" and reference "${projectDesc}". advanced and creative CSS and js Space them nicely though.
-      3) A heading and under it a subheading component and then under it a Vertical roadmap (5 glass steps).nicely sized cards Fancy. advanced and creative CSS and js Make sure their width is fitting to the screen size.
-      4) A heading and under it a subheading component and then under it a NFT distribution section with 3 fancy gradient/glass cards.advanced and creative CSS and js nicely sized cards Under the heading, not next to. Laid out horizontally on computer taking up a whole row of the screen or on mobile vertically laid out.
-      5) A heading and under it a subheading component and then under it Exchange/analytics with 6 glass placeholders (laid out nicely).advanced and creative CSS and js nicely sized cards. Under the heading. 2 rows, 3 columns on computer that take up wide enough not so skinny it only takes up one part we need the whole section of the screen and, vertical layout for mobile. Under the heading.
-      6) A heading and under it a subheading component and then under it a collection section with 8 placeholder cards for example nfts. Beatiful looks nicely sized cards, advanced and creative CSS and js
-      7) glass Footer section at the bottom not sticky. Uses FOOTER_IMAGE_PLACEHOLDER on the left fit to a nice size and on the right it uses placeholder social links that don't work. fake unclickable buttons.
-    - Buttons are placeholders only. Not clickable.
-    - Every element must be thought to match/contrast with the other elements and make sure there is a nice flow. 
-    - No leftover code fences just the raw output as i will insert to an iframe, no text just code.
-       `;
-    } else {
-      systemPrompt += `
-You are a website building ai now building a site for the crypto token "${coinName}".here is a quick description of the project "${projectDesc}" Generate the single HTML file with EXACT comment markers for each section: 
-        <!-- SECTION: nav -->, <!-- END: NAV --> .The best in the business. making an memecoin website. utilizing modern styling and css animations. gradients. glass cards. "${colorPalette}" is the color pallete for tones. and a "${themeSelection}" theme for the site
-         make sure to have all these sections. with all of the requested features. we need everything.
-         1) Modern Looking glass Nav (non-sticky) with a 256x256 transparent token logo fit to a nice size => "NAV_IMAGE_PLACEHOLDER" on the left side and on the right side some placeholder nav links that don't work. make sure the image and links are on the same horizontal block and on the left and right like requested. advanced and creative CSS and js (Also repeated in footer as "FOOTER_IMAGE_PLACEHOLDER", same image). 
-        2) Modern Big glass hero with a image named (i will replace it) "HERO_BG_PLACEHOLDER" (1024x1024).proper spacing for the heading and subheading. its our splash page. center text. nicely sized cards Must show coin name "${coinName}" and reference "${projectDesc}". advanced and creative CSS and js Space them nicely though.
-        3) A heading and under it a subheading component and then under it a Vertical roadmap (5 glass steps).nicely sized cards Fancy. advanced and creative CSS and js Make sure their width is fitting to the screen size.
-        4) A heading and under it a subheading component and then under it Tokenomics with 3 fancy gradient/glass cards.advanced and creative CSS and js nicely sized cards Under the heading, not next to. Laid out horizontally on computer taking up a whole row of the screen or on mobile vertically laid out.
-        5) A heading and under it a subheading component and then under it Exchange/analytics with 6 glass placeholders (laid out nicely).advanced and creative CSS and js nicely sized cards. Under the heading. 2 rows, 3 columns on computer that take up wide enough not so skinny it only takes up one part we need the whole section of the screen and, vertical layout for mobile. Under the heading.
-        6) A heading and under it a subheading component and then under it 2 glass-card about section. Beatiful looks nicely sized cards, advanced and creative CSS and js
-        7) glass Footer section at the bottom not sticky. Uses FOOTER_IMAGE_PLACEHOLDER on the left fit to a nice size and on the right it uses placeholder social links that don't work. fake unclickable buttons.
-        no leftover code fences. fake buttons.
-         - Buttons are placeholders only. Not clickable.
-        - Every element must be thought to match/contrast with the other elements and make sure there is a nice flow. 
-        - No leftover code fences just the raw output as i will insert to an iframe, no text just code.
-      `;
-    }
-
-    progressMap[requestId].progress = 20;
-
-    // TEXT GENERATION via GPT
-    let gptResponse;
-    try {
-      gptResponse = await openAiText.createChatCompletion({
-        model: "gpt-4o-mini",  
-        messages: [
-          { role: "system", content: systemPrompt },
-          {
-            role: "user",
-            content: `
-Generate the single HTML file with EXACT sections (nav, hero, etc.). 
-for grapejs put the code in <!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8"/>
-  <style>
-{css}
-  </style>
-</head>
-<body>
-{html}
-</body> as an example plus the correct comment markers for each section example <!-- SECTION: nav -->, <!-- END: NAV --> . 
-No leftover code blocks or markdown fences. 
-Ensure it is fully responsive. 
-All advanced animations, glass styling, etc. 
-make sure its formatted for GrapesJS.
-- Use a gradient of "${colorPalette}" plus the a "${themeSelection}" theme for the color scheming of the background and give an opposite contrast for the components. all sections backgrounds should have a "${themeSelection}" gradient theming following our colors.  keep a consistent theming across the site, gradient and nice looks.
--properly l layout and size sites and components like grid things. 
-`
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 5000
-      });
-    } catch (err) {
-      if (err.response && err.response.status === 429) {
-        console.error("OpenAI rate limit error in doWebsiteGeneration:", err.response.data);
-        progressMap[requestId].status='error';
-        progressMap[requestId].progress=100;
-        return;
-      }
-      throw err;
-    }
-
-    let siteCode = gptResponse.data.choices[0].message.content.trim();
-    progressMap[requestId].progress = 60;
-
-    // remove leftover code fences
-    siteCode = siteCode.replace(/```+/g,"");
-
-    // Save final code
-    progressMap[requestId].code = siteCode;
-    progressMap[requestId].status='done';
-    progressMap[requestId].progress=100;
-
-    // Save to DB
-    user.generatedFiles.push({
-      requestId,
-      content: siteCode,
-      generatedAt: new Date()
-    });
-    await user.save();
-
-  } catch(error){
-    console.error("Error in background generation:", error);
-    progressMap[requestId].status='error';
-    progressMap[requestId].progress=100;
-  }
-}
-
 /**************************************************
  * POST /generate-section => refresh single section
  * (Removes partial image generation)
  **************************************************/
-app.post('/generate-section', async(req,res)=>{
-  const {walletAddress, section, coinName, colorPalette, projectType, themeSelection, projectDesc}=req.body;
-  if(!walletAddress||!section){
-    return res.status(400).json({error:"Missing walletAddress or section."});
+app.post('/generate-section', requireScope('generate'), async(req,res)=>{
+  const {walletAddress}=req.auth;
+  const {section, coinName, colorPalette, projectType, themeSelection, projectDesc}=req.body;
+  if(!section){
+    return res.status(400).json({error:"Missing section."});
   }
+  let cost;
   try{
-    const user=await User.findOne({walletAddress});
+    cost= await pricing.operationCost('section');
+  }catch(err){
+    console.error("Error loading pricing:",err);
+    return res.status(500).json({error:"Internal server error."});
+  }
+  let charged=false;
+  try{
+    // Deduct the section cost (refunded below if the completion fails)
+    const user=await creditLedger.debitCredits(walletAddress,cost,{kind:'section-debit',reason:`Section: ${section}`});
     if(!user){
-      return res.status(400).json({error:"Invalid wallet address."});
-    }
-    if(user.credits<0.25){
-      return res.status(400).json({error:"Insufficient credits (need 0.25)."});
+      if(!(await User.exists({walletAddress}))){
+        return res.status(400).json({error:"Invalid wallet address."});
+      }
+      return res.status(400).json({error:`Insufficient credits (need ${cost}).`});
     }
-    // Deduct .25
-    user.credits-=0.25;
-    await user.save();
+    charged=true;
 
     let systemPrompt = `
 Generate ONLY the [${section}] snippet for a ${projectType} site named "${coinName}". 
@@ -629,8 +1034,9 @@ Generate ONLY the [${section}] snippet for a ${projectType} site named "${coinNa
 Use snippet below for partial inspiration (no code fences):
 `;
 
-    const gptResp = await openAiText.createChatCompletion({
-      model: "gpt-4o-mini",
+    const provider= getTextProvider();
+    const { result: gptText, model } = await callWithRetry(model => provider.chat({
+      model,
       messages: [
         {role:"system", content:systemPrompt},
         {
@@ -643,18 +1049,28 @@ Fully responsive.`
       ],
       max_tokens:2000,
       temperature:0.7
+    }, {
+      context:{section,coinName,colorPalette,projectType,themeSelection,projectDesc}
+    }), {
+      models: provider.models,
+      onAttempt: attempt => console.warn("/generate-section attempt failed:", attempt)
     });
 
-    let snippet= gptResp.data.choices[0].message.content.trim();
+    let snippet= gptText.trim();
     snippet= snippet.replace(/```+/g,"");
 
     return res.json({
       snippet,
       images:{}, // no images generated
+      model,
       newCredits: user.credits
     });
   } catch(err){
     console.error("Error in /generate-section:", err);
+    if(charged){
+      await creditLedger.refundCredits(walletAddress,cost,{kind:'section-refund',reason:err.message})
+      .catch(refundErr=>console.error("Failed to refund section credit:",refundErr));
+    }
     return res.status(500).json({error:"Internal server error."});
   }
 });
@@ -666,6 +1082,8 @@ app.use((err,req,res,next)=>{
   if(err instanceof SyntaxError){
     console.error("Syntax Error:",err);
     return res.status(400).json({error:"Invalid JSON payload."});
+  } else if(err.type==='entity.too.large'){
+    return res.status(413).json({error:"Request body is too large."});
   } else if(err.message && err.message.startsWith('The CORS policy')){
     console.error("CORS Error:",err.message);
     return res.status(403).json({error:err.message});
@@ -0,0 +1,148 @@
+// backend/services/apiKeys.js
+//
+// Personal API keys: "kc_<keyId>_<secret>". The keyId is stored in clear so
+// the key can be looked up and listed; the full key is stored as a SHA-256
+// hash and shown to the user exactly once, when it's created.
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
+
+const API_KEY_PREFIX = 'kc_';
+const MAX_API_KEYS_PER_USER = parseInt(process.env.MAX_API_KEYS_PER_USER || '10', 10);
+const API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE || '30', 10);
+const API_KEY_MAX_RATE_LIMIT = parseInt(process.env.API_KEY_MAX_RATE_LIMIT_PER_MINUTE || '120', 10);
+const RATE_WINDOW_MS = 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+function describeKey(key) {
+  return {
+    keyId: key.keyId,
+    name: key.name,
+    scopes: key.scopes,
+    rateLimitPerMinute: key.rateLimitPerMinute,
+    lastUsedAt: key.lastUsedAt,
+    revokedAt: key.revokedAt,
+    createdAt: key.createdAt
+  };
+}
+
+/**
+ * Create a key for `user`. Returns { success, apiKey, key } where apiKey is
+ * the plaintext secret (never retrievable again), or { success:false, error }.
+ */
+async function createApiKey(user, { name, scopes, rateLimitPerMinute }) {
+  const trimmedName = String(name || '').trim();
+  if (!trimmedName || trimmedName.length > 64) {
+    return { success: false, error: 'name is required (max 64 characters).' };
+  }
+  if (!Array.isArray(scopes) || !scopes.length || scopes.some(s => !API_KEY_SCOPES.includes(s))) {
+    return { success: false, error: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}.` };
+  }
+  let limit = API_KEY_RATE_LIMIT;
+  if (rateLimitPerMinute !== undefined) {
+    limit = parseInt(rateLimitPerMinute, 10);
+    if (!Number.isFinite(limit) || limit < 1 || limit > API_KEY_MAX_RATE_LIMIT) {
+      return { success: false, error: `rateLimitPerMinute must be between 1 and ${API_KEY_MAX_RATE_LIMIT}.` };
+    }
+  }
+
+  const active = await ApiKey.countDocuments({ userId: user._id, revokedAt: null });
+  if (active >= MAX_API_KEYS_PER_USER) {
+    return { success: false, error: `You can have at most ${MAX_API_KEYS_PER_USER} active API keys.` };
+  }
+
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const apiKey = `${API_KEY_PREFIX}${keyId}_${crypto.randomBytes(24).toString('base64url')}`;
+  const key = await ApiKey.create({
+    keyId,
+    userId: user._id,
+    walletAddress: user.walletAddress,
+    name: trimmedName,
+    scopes: [...new Set(scopes)],
+    keyHash: hashKey(apiKey),
+    rateLimitPerMinute: limit
+  });
+  return { success: true, apiKey, key: describeKey(key) };
+}
+
+async function listApiKeys(walletAddress) {
+  const keys = await ApiKey.find({ walletAddress }).sort({ createdAt: -1 }).lean();
+  return keys.map(describeKey);
+}
+
+/**
+ * Revoke one of the wallet's keys. Returns the key or null if not found.
+ */
+async function revokeApiKey(walletAddress, keyId) {
+  const key = await ApiKey.findOneAndUpdate(
+    { walletAddress, keyId },
+    [{ $set: { revokedAt: { $ifNull: ['$revokedAt', '$$NOW'] } } }],
+    { new: true }
+  ).lean();
+  return key ? describeKey(key) : null;
+}
+
+/**
+ * Count one request against the key's per-minute window and stamp
+ * lastUsedAt. Returns { allowed, retryAfterSeconds }.
+ */
+async function consumeRateLimit(key) {
+  const now = new Date();
+  const windowFloor = new Date(now.getTime() - RATE_WINDOW_MS);
+
+  // Inside the current window and under the limit
+  const counted = await ApiKey.findOneAndUpdate(
+    { _id: key._id, windowStartedAt: { $gt: windowFloor }, windowCount: { $lt: key.rateLimitPerMinute } },
+    { $inc: { windowCount: 1 }, $set: { lastUsedAt: now } },
+    { new: true }
+  ).lean();
+  if (counted) return { allowed: true };
+
+  // Window elapsed (or never started): open a new one
+  const reset = await ApiKey.findOneAndUpdate(
+    { _id: key._id, $or: [{ windowStartedAt: null }, { windowStartedAt: { $lte: windowFloor } }] },
+    { $set: { windowStartedAt: now, windowCount: 1, lastUsedAt: now } },
+    { new: true }
+  ).lean();
+  if (reset) return { allowed: true };
+
+  const current = await ApiKey.findById(key._id).select('windowStartedAt').lean();
+  const windowEnds = current && current.windowStartedAt
+    ? current.windowStartedAt.getTime() + RATE_WINDOW_MS
+    : now.getTime() + RATE_WINDOW_MS;
+  return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil((windowEnds - now.getTime()) / 1000)) };
+}
+
+/**
+ * Resolve a presented key to its active ApiKey document, or null.
+ */
+async function findActiveKey(apiKey) {
+  const match = /^kc_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(String(apiKey || ''));
+  if (!match) return null;
+  const key = await ApiKey.findOne({ keyId: match[1], revokedAt: null }).lean();
+  if (!key) return null;
+  const presented = Buffer.from(hashKey(apiKey), 'hex');
+  const stored = Buffer.from(key.keyHash, 'hex');
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    return null;
+  }
+  return key;
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findActiveKey,
+  consumeRateLimit
+};
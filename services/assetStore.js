@@ -0,0 +1,294 @@
+// backend/services/assetStore.js
+//
+// Stores images on the local filesystem (ASSET_STORE=fs) or in MongoDB
+// GridFS (ASSET_STORE=gridfs, the default, since dyno disks are ephemeral)
+// and hands out stable /assets/:id URLs keyed by content hash.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Asset = require('../models/Asset');
+const { UPLOAD_MAX_BYTES, sniffImageType, validateUpload } = require('./imageUpload');
+
+const ASSET_STORE = (process.env.ASSET_STORE || 'gridfs').toLowerCase();
+const ASSET_DIR = process.env.ASSET_DIR || path.join(__dirname, '..', 'data', 'assets');
+const MAX_ASSET_BYTES = parseInt(process.env.MAX_ASSET_BYTES || String(10 * 1024 * 1024), 10);
+
+// Caps on the images imported from one piece of site HTML (see rewriteHtmlAssets)
+const HTML_IMPORT_MAX_IMAGES = parseInt(process.env.HTML_IMPORT_MAX_IMAGES || '10', 10);
+const HTML_IMPORT_MAX_BYTES = parseInt(process.env.HTML_IMPORT_MAX_BYTES || String(8 * 1024 * 1024), 10);
+
+// Hosts that serve short-lived image URLs which must be copied locally
+const EXPIRING_HOSTS = (process.env.EXPIRING_IMAGE_HOSTS || 'oaidalleapiprodscus.blob.core.windows.net')
+  .split(',')
+  .map(h => h.trim())
+  .filter(Boolean);
+
+// Resolved on first use by publicBaseUrl()
+let publicBase = null;
+
+/**
+ * Absolute base for asset URLs embedded in saved and exported HTML
+ * (PUBLIC_BASE_URL, e.g. https://api.example.com), without its trailing
+ * slash: a relative /assets/<id> URL stops resolving as soon as the HTML
+ * leaves this host. Outside production it defaults to this server on
+ * localhost, so local development works without it.
+ */
+function publicBaseUrl() {
+  if (publicBase) return publicBase;
+  if (!process.env.PUBLIC_BASE_URL && process.env.NODE_ENV !== 'production') {
+    publicBase = `http://localhost:${process.env.PORT || 5000}`;
+    console.warn(`PUBLIC_BASE_URL is not set; asset URLs will point at ${publicBase}.`);
+    return publicBase;
+  }
+  const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  let protocol = null;
+  try {
+    protocol = new URL(base).protocol;
+  } catch (err) {
+    protocol = null;
+  }
+  if (protocol !== 'https:' && protocol !== 'http:') {
+    throw new Error('PUBLIC_BASE_URL must be set to the absolute http(s) URL this API is served from.');
+  }
+  publicBase = base;
+  return publicBase;
+}
+
+// ---------- storage backends ----------
+
+const fsBackend = {
+  async write(assetId, buffer) {
+    await fs.promises.mkdir(ASSET_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(ASSET_DIR, assetId), buffer);
+    return assetId;
+  },
+  openRead(storageKey) {
+    return fs.createReadStream(path.join(ASSET_DIR, storageKey));
+  }
+};
+
+function gridfsBucket() {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'assets' });
+}
+
+const gridfsBackend = {
+  write(assetId, buffer, contentType) {
+    return new Promise((resolve, reject) => {
+      const upload = gridfsBucket().openUploadStream(assetId, { contentType });
+      upload.on('error', reject);
+      upload.on('finish', () => resolve(String(upload.id)));
+      upload.end(buffer);
+    });
+  },
+  openRead(storageKey) {
+    return gridfsBucket().openDownloadStream(new mongoose.Types.ObjectId(storageKey));
+  }
+};
+
+const BACKENDS = { fs: fsBackend, gridfs: gridfsBackend };
+
+// ---------- public API ----------
+
+/**
+ * Public URL for an asset id.
+ */
+function assetUrl(assetId) {
+  return `${publicBaseUrl()}/assets/${assetId}`;
+}
+
+/**
+ * True for URLs that already point at this store.
+ */
+function isAssetUrl(url) {
+  return typeof url === 'string' && url.startsWith(`${publicBaseUrl()}/assets/`);
+}
+
+/**
+ * Extract a 64-char asset id from user input, or null if malformed.
+ */
+function parseAssetId(value) {
+  const id = String(value || '').trim().toLowerCase();
+  return /^[a-f0-9]{64}$/.test(id) ? id : null;
+}
+
+/**
+ * Whether an asset with this id is stored.
+ */
+async function assetExists(assetId) {
+  return Boolean(await Asset.exists({ assetId }));
+}
+
+/**
+ * Store image bytes (deduplicated by sha256) and return the Asset record.
+ */
+async function saveAsset(buffer, { contentType, source = 'generated', walletAddress = null, originalUrl = null, width = null, height = null } = {}) {
+  if (buffer.length > MAX_ASSET_BYTES) {
+    throw new Error(`Asset exceeds ${MAX_ASSET_BYTES} bytes.`);
+  }
+  const type = contentType || sniffImageType(buffer);
+  if (!type || !type.startsWith('image/')) {
+    throw new Error('Asset is not a recognised image.');
+  }
+
+  const assetId = crypto.createHash('sha256').update(buffer).digest('hex');
+  const existing = await Asset.findOne({ assetId }).lean();
+  if (existing) return existing;
+
+  const backend = BACKENDS[ASSET_STORE];
+  if (!backend) throw new Error(`Unknown ASSET_STORE "${ASSET_STORE}"`);
+  const storageKey = await backend.write(assetId, buffer, type);
+
+  try {
+    const asset = await Asset.create({
+      assetId,
+      contentType: type,
+      size: buffer.length,
+      width,
+      height,
+      storage: ASSET_STORE,
+      storageKey,
+      source,
+      walletAddress,
+      originalUrl
+    });
+    return asset.toObject();
+  } catch (err) {
+    // Another request stored the same bytes first
+    if (err.code === 11000) return Asset.findOne({ assetId }).lean();
+    throw err;
+  }
+}
+
+/**
+ * Split a data: URI into { buffer, contentType }, or null for other URLs.
+ */
+function decodeDataUri(url) {
+  const dataUri = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(url);
+  if (!dataUri) return null;
+  const buffer = dataUri[2]
+    ? Buffer.from(dataUri[3], 'base64')
+    : Buffer.from(decodeURIComponent(dataUri[3]), 'utf8');
+  return { buffer, contentType: dataUri[1] || undefined };
+}
+
+/**
+ * Download (or decode a data: URI) and store it. Returns the Asset record.
+ * The bytes get the same checks as an upload (validateUpload): the type
+ * must be an accepted image matching any declared type, SVGs are
+ * sanitized, and dimensions are limited. `maxBytes` caps the size.
+ */
+async function importFromUrl(url, { maxBytes = MAX_ASSET_BYTES, ...options } = {}) {
+  const inline = decodeDataUri(url);
+  let buffer;
+  let declaredType;
+  if (inline) {
+    ({ buffer, contentType: declaredType } = inline);
+  } else {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      maxContentLength: maxBytes,
+      timeout: 30000
+    });
+    // Storage hosts often send a generic content type, so only the bytes count
+    buffer = Buffer.from(response.data);
+  }
+
+  const checked = validateUpload(buffer, declaredType, { maxBytes });
+  if (!checked.success) throw new Error(checked.error);
+  const { contentType, width, height } = checked;
+  return saveAsset(checked.buffer, { ...options, contentType, width, height, originalUrl: inline ? null : url });
+}
+
+/**
+ * Load an asset record and a readable stream of its bytes, or null.
+ */
+async function openAsset(assetId) {
+  const asset = await Asset.findOne({ assetId }).lean();
+  if (!asset) return null;
+  return { asset, stream: BACKENDS[asset.storage].openRead(asset.storageKey) };
+}
+
+/**
+ * Copy every image in the map ({ navLogo: url, ... }) into the store and
+ * return the same map pointing at stable asset URLs. Images that fail to
+ * copy keep their original URL.
+ */
+async function persistImages(images = {}, { walletAddress } = {}) {
+  const stable = {};
+  for (const [key, url] of Object.entries(images)) {
+    if (!url) continue;
+    if (isAssetUrl(url)) {
+      stable[key] = url;
+      continue;
+    }
+    try {
+      const asset = await importFromUrl(url, { walletAddress, source: 'generated' });
+      stable[key] = assetUrl(asset.assetId);
+    } catch (err) {
+      console.error(`Failed to store image ${key}:`, err.message);
+      stable[key] = url;
+    }
+  }
+  return stable;
+}
+
+function isExpiringUrl(url) {
+  if (url.startsWith('data:image/')) return true;
+  try {
+    return EXPIRING_HOSTS.includes(new URL(url).hostname);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Rewrite inline data: images and short-lived image URLs in site HTML to
+ * stable asset URLs, so saved sites don't rot. At most
+ * HTML_IMPORT_MAX_IMAGES images / HTML_IMPORT_MAX_BYTES are imported per
+ * call; anything over the cap, or failing validation, is left as it was.
+ */
+async function rewriteHtmlAssets(html, { walletAddress } = {}) {
+  if (!html) return html;
+  const pattern = /(data:image\/[a-z0-9.+-]+;base64,[A-Za-z0-9+/=]+|https:\/\/[^\s"'()<>]+)/gi;
+  const found = [...new Set((html.match(pattern) || []).filter(isExpiringUrl))];
+  if (found.length > HTML_IMPORT_MAX_IMAGES) {
+    console.warn(`Site HTML has ${found.length} images to import, importing the first ${HTML_IMPORT_MAX_IMAGES}.`);
+  }
+
+  const stable = new Map();
+  let importedBytes = 0;
+  for (const url of found.slice(0, HTML_IMPORT_MAX_IMAGES)) {
+    try {
+      const options = { walletAddress, source: 'import' };
+      const inline = decodeDataUri(url);
+      if (inline && importedBytes + inline.buffer.length > HTML_IMPORT_MAX_BYTES) {
+        throw new Error(`Images in site HTML exceed ${HTML_IMPORT_MAX_BYTES} bytes.`);
+      }
+      // Inline images come from the user, so they get the upload size limit
+      const asset = await importFromUrl(url, inline ? { ...options, maxBytes: UPLOAD_MAX_BYTES } : options);
+      importedBytes += asset.size;
+      stable.set(url, assetUrl(asset.assetId));
+    } catch (err) {
+      console.error('Failed to import image from site HTML:', err.message);
+    }
+  }
+  // One pass over the same matches, so a URL that prefixes another isn't rewritten inside it
+  return html.replace(pattern, url => stable.get(url) || url);
+}
+
+module.exports = {
+  MAX_ASSET_BYTES,
+  sniffImageType,
+  assetUrl,
+  isAssetUrl,
+  parseAssetId,
+  assetExists,
+  saveAsset,
+  importFromUrl,
+  openAsset,
+  persistImages,
+  rewriteHtmlAssets
+};
@@ -0,0 +1,185 @@
+// backend/services/creditLedger.js
+
+const User = require('../models/User');
+const GenerationJob = require('../models/GenerationJob');
+const CreditLedger = require('../models/CreditLedger');
+const Deposit = require('../models/Deposit');
+
+async function record(entry) {
+  try {
+    await CreditLedger.create(entry);
+  } catch (err) {
+    // Duplicate key means this movement was already recorded
+    if (err.code !== 11000) {
+      console.error("Failed to write credit ledger entry:", err.message, entry);
+    }
+  }
+}
+
+/**
+ * Atomically take `amount` credits from a wallet if it has enough.
+ * Returns the updated user, or null for insufficient credits / unknown wallet.
+ */
+async function debitCredits(walletAddress, amount, { kind, requestId = null, reason = null }) {
+  const user = await User.findOneAndUpdate(
+    { walletAddress, credits: { $gte: amount } },
+    { $inc: { credits: -amount } },
+    { new: true }
+  );
+  if (user) {
+    await record({ walletAddress, delta: -amount, kind, requestId, reason, balanceAfter: user.credits });
+  }
+  return user;
+}
+
+/**
+ * Give `amount` credits back to a wallet. Returns the updated user.
+ */
+async function refundCredits(walletAddress, amount, { kind, requestId = null, reason = null }) {
+  const user = await User.findOneAndUpdate(
+    { walletAddress },
+    { $inc: { credits: amount } },
+    { new: true }
+  );
+  await record({
+    walletAddress,
+    delta: amount,
+    kind,
+    requestId,
+    reason,
+    balanceAfter: user ? user.credits : null
+  });
+  return user;
+}
+
+/**
+ * Credit an on-chain deposit exactly once per (txid, coinType, address).
+ * The Deposit insert is the guard: credits are only added by whoever
+ * inserted it. Returns the updated user, or null if the transaction was
+ * already credited or the wallet is unknown. Safe to call from the deposit
+ * listener and concurrent /scan-deposits requests at the same time.
+ */
+async function creditDeposit(walletAddress, { txid, coinType, amount, credits, rate = null }) {
+  let deposit;
+  try {
+    deposit = await Deposit.create({ txid, coinType, walletAddress, amount, creditsAdded: credits, rate });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    await User.updateOne({ walletAddress }, { $pull: { pendingDeposits: { txid } } });
+    return null;
+  }
+
+  // Deposits credited before the Deposit collection existed are still
+  // only listed in processedTransactions; don't credit those again
+  const user = await User.findOneAndUpdate(
+    { walletAddress, 'processedTransactions.txid': { $ne: txid } },
+    { $inc: { credits }, $pull: { pendingDeposits: { txid } } },
+    { new: true }
+  );
+  if (!user) {
+    const legacy = await User.findOne({ walletAddress, 'processedTransactions.txid': txid })
+      .select('processedTransactions.$')
+      .lean();
+    if (legacy) {
+      const [previous] = legacy.processedTransactions;
+      await Deposit.updateOne({ _id: deposit._id }, {
+        $set: { creditsAdded: previous.creditsAdded, creditedAt: previous.timestamp, backfilled: true }
+      });
+      await User.updateOne({ walletAddress }, { $pull: { pendingDeposits: { txid } } });
+    } else {
+      await Deposit.deleteOne({ _id: deposit._id });
+    }
+    return null;
+  }
+
+  await Deposit.updateOne({ _id: deposit._id }, { $set: { creditedAt: new Date() } });
+  await record({
+    walletAddress,
+    delta: credits,
+    kind: 'deposit-credit',
+    // one transaction can pay several users, so the txid isn't a unique requestId
+    reason: `${amount} ${coinType} deposit in tx ${txid}`,
+    balanceAfter: user.credits
+  });
+  return user;
+}
+
+/**
+ * The single settlement step for a generation job: flips its settlement
+ * from 'pending' to 'charged' or 'refunded' exactly once, refunding the
+ * held credit on failure, or on success the cost held for images the
+ * worker didn't generate. Returns the settled job, or null if it was
+ * already settled by someone else.
+ */
+async function settleGenerationJob(requestId, outcome, reason) {
+  const job = await GenerationJob.findOneAndUpdate(
+    { requestId, settlement: 'pending' },
+    { $set: { settlement: outcome, settledAt: new Date(), settlementReason: reason || null } },
+    { new: true }
+  ).lean();
+  if (!job) return null;
+
+  if (outcome === 'refunded') {
+    await refundCredits(job.walletAddress, job.creditCost, { kind: 'generation-refund', requestId, reason });
+  } else {
+    const missing = Math.max(0, (job.imagesHeld || 0) - (job.imagesGenerated || 0));
+    if (missing > 0 && job.imageCost > 0) {
+      await refundCredits(job.walletAddress, missing * job.imageCost, {
+        kind: 'generation-refund',
+        requestId,
+        reason: `${missing} of ${job.imagesHeld} image(s) not generated.`
+      });
+    }
+    await record({ walletAddress: job.walletAddress, delta: 0, kind: 'generation-charge', requestId, reason });
+  }
+  console.log(`Job ${requestId} settled as ${outcome}${reason ? ` (${reason})` : ''}`);
+  return job;
+}
+
+/**
+ * Settle a job according to where it ended up: done => charged,
+ * error/cancelled => refunded. Jobs still queued or running are left alone.
+ */
+async function settleFinishedJob(requestId) {
+  const job = await GenerationJob.findOne({ requestId }).lean();
+  if (!job || job.settlement !== 'pending') return null;
+  if (job.status === 'done') {
+    return settleGenerationJob(requestId, 'charged', 'Generation completed.');
+  }
+  if (job.status === 'error' || job.status === 'cancelled') {
+    return settleGenerationJob(requestId, 'refunded', job.error);
+  }
+  return null;
+}
+
+/**
+ * Catch-up pass for finished jobs that were never settled (e.g. the
+ * process died between finishing a job and settling it).
+ */
+async function settleFinishedJobs(limit = 50) {
+  const jobs = await GenerationJob.find(
+    { settlement: 'pending', status: { $in: ['done', 'error', 'cancelled'] } },
+    { requestId: 1 }
+  ).limit(limit).lean();
+  for (const job of jobs) {
+    await settleFinishedJob(job.requestId);
+  }
+  return jobs.length;
+}
+
+/**
+ * Most recent ledger entries for a wallet.
+ */
+async function getLedger(walletAddress, limit = 100) {
+  return CreditLedger.find({ walletAddress }).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+module.exports = {
+  debitCredits,
+  refundCredits,
+  creditDeposit,
+  settleGenerationJob,
+  settleFinishedJob,
+  settleFinishedJobs,
+  getLedger
+};
@@ -0,0 +1,62 @@
+// backend/services/depositAddresses.js
+//
+// WALLET_MODE=derived: instead of a fresh mnemonic per user, every user gets
+// the next receive index under one treasury account. The web tier only needs
+// the watch-only TREASURY_XPUB; private keys stay with the signing worker.
+
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const { decryptWalletSecrets } = require('./walletSecrets');
+const { deriveDepositAddress, depositPrivateKey } = require('../wasm_rpc');
+
+const WALLET_MODE = (process.env.WALLET_MODE || 'random').toLowerCase();
+const COUNTER_ID = 'treasury-receive-index';
+
+/**
+ * Atomically reserve the next receive index. Index 0 is left for the
+ * treasury itself, so the first user gets 1.
+ */
+async function nextDerivationIndex() {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: COUNTER_ID },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+}
+
+/**
+ * Reserve an index and derive its address. Returns
+ * { success, receivingAddress, derivationIndex } like createWallet().
+ */
+async function allocateDepositAddress() {
+  try {
+    const derivationIndex = await nextDerivationIndex();
+    return {
+      success: true,
+      receivingAddress: deriveDepositAddress(derivationIndex),
+      derivationIndex
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Private key that spends from `walletAddress`, in either wallet mode.
+ * Derived addresses need TREASURY_XPRV, so this only works where that's set.
+ */
+async function depositSigningKey(walletAddress) {
+  const user = await User.findOne({ walletAddress }).select('+xPrv +mnemonic');
+  if (!user) {
+    throw new Error(`User not found for wallet ${walletAddress}`);
+  }
+  const { xPrv } = user.walletMode === 'derived' ? {} : decryptWalletSecrets(user);
+  return depositPrivateKey({ walletMode: user.walletMode, derivationIndex: user.derivationIndex, xPrv });
+}
+
+module.exports = {
+  WALLET_MODE,
+  allocateDepositAddress,
+  depositSigningKey
+};
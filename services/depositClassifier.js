@@ -0,0 +1,95 @@
+// backend/services/depositClassifier.js
+//
+// Decides whether a transaction that pays a user's deposit address is a
+// real deposit. Anything we broadcast ourselves from that address
+// (withdrawals, KRC20 commit/reveal, sweeps) sends its change straight
+// back to it, and that change must never be credited. Every decision
+// carries a reason so a skipped transaction can be explained later.
+
+const Withdrawal = require('../models/Withdrawal');
+
+const TREASURY_ADDRESS = process.env.TREASURY_ADDRESS || null;
+
+const REASONS = {
+  DEPOSIT: 'deposit',
+  NO_OUTPUT: 'no-output-to-address',      // outgoing only, nothing came back
+  OWN_TRANSACTION: 'own-transaction',     // a withdrawal we broadcast (incl. KRC20 reveals)
+  SELF_SENT: 'self-sent',                 // spends the user's own coins
+  TREASURY_FUNDED: 'treasury-funded',     // paid from the treasury, e.g. a fee top-up
+  INPUTS_UNRESOLVED: 'inputs-unresolved', // indexer didn't say where the inputs came from
+  NOT_TRANSFER: 'not-transfer',           // KRC20 deploy/mint/etc.
+  NOT_TO_ADDRESS: 'not-to-address',       // KRC20 transfer to someone else
+  REJECTED: 'rejected'                    // KRC20 operation refused by the indexer
+};
+
+// Decisions worth retrying later instead of being recorded for good
+const TRANSIENT_REASONS = new Set([REASONS.INPUTS_UNRESOLVED]);
+// Transactions that don't pay the address at all: counted in scan reports, not stored
+const UNRELATED_REASONS = new Set([REASONS.NO_OUTPUT, REASONS.NOT_TO_ADDRESS]);
+
+/**
+ * Everything this backend broadcast from `walletAddress`: the txids of
+ * its withdrawals, commit and reveal transactions included.
+ */
+async function ownTransactionIds(walletAddress) {
+  const withdrawals = await Withdrawal.find({ walletAddress, 'txids.0': { $exists: true } })
+    .select('txids')
+    .lean();
+  return new Set(withdrawals.flatMap(w => w.txids));
+}
+
+/**
+ * Classify a normalized indexer transaction (see indexers/index.js) for
+ * `walletAddress`. Returns { credit, reason, amount } with `amount` in KAS.
+ * With `inputs: null` the indexer can't say where the coins came from, so
+ * nothing but `ownTxids` can be ruled out and the transaction stays
+ * unresolved (pending) rather than credited.
+ */
+function classifyKasTransaction(tx, walletAddress, ownTxids) {
+  let sompi = 0n;
+  for (const out of tx.outputs || []) {
+    if (out.address === walletAddress) sompi += BigInt(out.amountSompi);
+  }
+  const amount = Number(sompi) / 1e8;
+  const decision = (credit, reason) => ({ credit, reason, amount });
+
+  if (sompi === 0n) return decision(false, REASONS.NO_OUTPUT);
+  if (ownTxids && ownTxids.has(tx.txid)) return decision(false, REASONS.OWN_TRANSACTION);
+
+  if (!Array.isArray(tx.inputs)) return decision(false, REASONS.INPUTS_UNRESOLVED);
+  // Coinbase transactions have no inputs and are always external
+  for (const input of tx.inputs) {
+    const from = input.address;
+    if (!from) return decision(false, REASONS.INPUTS_UNRESOLVED);
+    if (from === walletAddress) return decision(false, REASONS.SELF_SENT);
+    if (TREASURY_ADDRESS && from === TREASURY_ADDRESS) return decision(false, REASONS.TREASURY_FUNDED);
+  }
+  return decision(true, REASONS.DEPOSIT);
+}
+
+/**
+ * Classify a kasplex KRC20 operation for `walletAddress`.
+ * Returns { credit, reason, amount } with `amount` in tokens; `credit` is
+ * false while the operation is still unaccepted (see settleKasperDeposit).
+ */
+function classifyKrc20Operation(op, walletAddress, ownTxids) {
+  const amount = parseInt(op.amt || '0', 10) / 1e8;
+  const decision = (credit, reason) => ({ credit, reason, amount });
+
+  if (!op.op || op.op.toLowerCase() !== 'transfer') return decision(false, REASONS.NOT_TRANSFER);
+  if (op.to !== walletAddress) return decision(false, REASONS.NOT_TO_ADDRESS);
+  if (ownTxids && ownTxids.has(op.hashRev)) return decision(false, REASONS.OWN_TRANSACTION);
+  if (op.from === walletAddress) return decision(false, REASONS.SELF_SENT);
+  if (TREASURY_ADDRESS && op.from === TREASURY_ADDRESS) return decision(false, REASONS.TREASURY_FUNDED);
+  if (op.opAccept === '-1') return decision(false, REASONS.REJECTED);
+  return decision(true, REASONS.DEPOSIT);
+}
+
+module.exports = {
+  REASONS,
+  TRANSIENT_REASONS,
+  UNRELATED_REASONS,
+  ownTransactionIds,
+  classifyKasTransaction,
+  classifyKrc20Operation
+};
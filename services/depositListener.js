@@ -0,0 +1,125 @@
+// backend/services/depositListener.js
+//
+// Real-time KAS deposit detection for worker.js. A UtxoProcessor tracks
+// every user's deposit address. An incoming transaction shows up as a
+// pending deposit right away and is credited, through the same idempotent
+// path as /scan-deposits, once it's DEPOSIT_CONFIRMATIONS deep (the
+// processor's maturity depth). The user is notified at both steps. /scan-deposits stays as a
+// fallback and for KASPER (KRC20 transfers aren't visible as UTXOs).
+//
+// The processor reports change from our own withdrawals and sweeps as
+// 'incoming' too, so every transaction is classified (see
+// depositClassifier) at both steps, and only deposits are shown or
+// credited. One the indexer can't classify yet stays pending, unannounced.
+
+const User = require('../models/User');
+const { recheckKasDeposit, DEPOSIT_CONFIRMATIONS } = require('./depositService');
+const { createUtxoMonitor } = require('../wasm_rpc');
+
+// How often addresses of newly registered users are added to the tracker
+const DEPOSIT_LISTENER_REFRESH_MS = parseInt(process.env.DEPOSIT_LISTENER_REFRESH_MS || '30000', 10);
+// Addresses per trackAddresses() call
+const TRACK_CHUNK_SIZE = 1000;
+
+/**
+ * Sum an incoming transaction record's outputs per tracked address, in KAS.
+ */
+function incomingAmounts(record) {
+  const amounts = new Map();
+  const entries = (record.data && record.data.data && record.data.data.utxoEntries) || [];
+  for (const entry of entries) {
+    if (!entry.address) continue;
+    const address = entry.address.toString();
+    amounts.set(address, (amounts.get(address) || 0n) + BigInt(entry.amount));
+  }
+  const result = new Map();
+  for (const [address, sompi] of amounts) {
+    result.set(address, Number(sompi) / 1e8);
+  }
+  return result;
+}
+
+function startDepositListener() {
+  const monitor = createUtxoMonitor({ maturityDaa: DEPOSIT_CONFIRMATIONS });
+  let lastUserId = null;
+  let refreshTimer = null;
+  let stopped = false;
+
+  // Track users registered after `lastUserId` (all of them on first call)
+  async function trackNewUsers() {
+    const filter = lastUserId ? { _id: { $gt: lastUserId } } : {};
+    const users = await User.find(filter).select('_id walletAddress').sort({ _id: 1 }).lean();
+    for (let i = 0; i < users.length; i += TRACK_CHUNK_SIZE) {
+      const chunk = users.slice(i, i + TRACK_CHUNK_SIZE);
+      await monitor.context.trackAddresses(chunk.map(u => u.walletAddress));
+      lastUserId = chunk[chunk.length - 1]._id;
+    }
+    if (users.length) {
+      console.log(`Deposit listener tracking ${users.length} new address(es)`);
+    }
+  }
+
+  async function refresh() {
+    try {
+      await trackNewUsers();
+    } catch (err) {
+      console.error("Deposit listener failed to track new addresses:", err.message || err);
+    }
+    if (!stopped) refreshTimer = setTimeout(refresh, DEPOSIT_LISTENER_REFRESH_MS);
+  }
+
+  // Fires on every (re)connect; the context starts empty again
+  monitor.processor.addEventListener('utxo-proc-start', async () => {
+    clearTimeout(refreshTimer);
+    lastUserId = null;
+    try {
+      await monitor.context.clear();
+    } catch (err) {
+      console.error("Deposit listener failed to reset its context:", err.message || err);
+    }
+    refresh();
+  });
+
+  monitor.processor.addEventListener('pending', async ({ data: record }) => {
+    if (record.type !== 'incoming') return;
+    const txid = record.id.toString();
+    for (const [walletAddress, amount] of incomingAmounts(record)) {
+      try {
+        await recheckKasDeposit(walletAddress, { txid, amount });
+      } catch (err) {
+        console.error(`Failed to record pending KAS tx ${txid} for ${walletAddress}:`, err.message || err);
+      }
+    }
+  });
+
+  monitor.processor.addEventListener('maturity', async ({ data: record }) => {
+    if (record.type !== 'incoming') return;
+    const txid = record.id.toString();
+    for (const [walletAddress, amount] of incomingAmounts(record)) {
+      try {
+        // Left pending if the indexer can't classify it yet; promotePendingDeposits retries
+        await recheckKasDeposit(walletAddress, { txid, amount });
+      } catch (err) {
+        console.error(`Failed to credit KAS tx ${txid} to ${walletAddress}:`, err.message || err);
+      }
+    }
+  });
+
+  monitor.processor.addEventListener('utxo-proc-error', ({ data }) => {
+    console.error("Deposit listener UtxoProcessor error:", data);
+  });
+
+  monitor.start()
+    .then(() => console.log("Deposit listener started"))
+    .catch(err => console.error("Deposit listener failed to start:", err.message || err));
+
+  return {
+    async stop() {
+      stopped = true;
+      clearTimeout(refreshTimer);
+      await monitor.stop();
+    }
+  };
+}
+
+module.exports = { startDepositListener };
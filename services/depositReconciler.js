@@ -0,0 +1,171 @@
+// backend/services/depositReconciler.js
+//
+// Deposits used to be deduplicated against User.processedTransactions in a
+// read-modify-save cycle, so concurrent scans could credit one transaction
+// twice. This job copies that history into the Deposit collection and
+// reports anything that looks credited more than once, or not at all. It
+// only detects; fixing a balance is left to a human.
+
+const User = require('../models/User');
+const Deposit = require('../models/Deposit');
+const CreditLedger = require('../models/CreditLedger');
+
+// A Deposit still uncredited after this long means the $inc never happened
+const UNCREDITED_AFTER_MS = parseInt(process.env.DEPOSIT_UNCREDITED_AFTER_MS || String(10 * 60 * 1000), 10);
+
+/**
+ * Copy every user's processedTransactions into Deposit (once per
+ * txid/coinType) and report entries listed more than once.
+ */
+async function backfillLegacyDeposits(findings) {
+  let backfilled = 0;
+  const cursor = User.find({ 'processedTransactions.0': { $exists: true } })
+    .select('walletAddress processedTransactions')
+    .lean()
+    .cursor();
+
+  for await (const user of cursor) {
+    const { walletAddress } = user;
+    const byKey = new Map();
+    for (const t of user.processedTransactions) {
+      const key = `${t.coinType}:${t.txid}`;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(t);
+    }
+
+    for (const entries of byKey.values()) {
+      const [first] = entries;
+      if (entries.length > 1) {
+        findings.push({
+          type: 'duplicate-processed-transaction',
+          walletAddress,
+          txid: first.txid,
+          coinType: first.coinType,
+          times: entries.length,
+          excessCredits: entries.slice(1).reduce((sum, t) => sum + (t.creditsAdded || 0), 0)
+        });
+      }
+      try {
+        const result = await Deposit.updateOne(
+          { txid: first.txid, coinType: first.coinType || 'KAS', walletAddress },
+          {
+            $setOnInsert: {
+              amount: first.amount,
+              creditsAdded: first.creditsAdded,
+              creditedAt: first.timestamp,
+              backfilled: true,
+              createdAt: first.timestamp
+            }
+          },
+          { upsert: true }
+        );
+        if (result.upsertedCount > 0) backfilled++;
+      } catch (err) {
+        // Lost an upsert race with creditDeposit; the Deposit exists either way
+        if (err.code !== 11000) throw err;
+      }
+    }
+  }
+  return backfilled;
+}
+
+/**
+ * Ledger entries recording the same deposit more than once. creditDeposit
+ * writes one 'deposit-credit' entry per credit with a reason naming the
+ * amount, coin and txid, so identical reasons mean a repeated credit.
+ */
+async function findDuplicateLedgerCredits(findings) {
+  const duplicates = await CreditLedger.aggregate([
+    { $match: { kind: 'deposit-credit' } },
+    {
+      $group: {
+        _id: { walletAddress: '$walletAddress', reason: '$reason' },
+        times: { $sum: 1 },
+        total: { $sum: '$delta' },
+        first: { $min: '$createdAt' }
+      }
+    },
+    { $match: { times: { $gt: 1 } } }
+  ]).allowDiskUse(true);
+
+  for (const d of duplicates) {
+    findings.push({
+      type: 'duplicate-ledger-credit',
+      walletAddress: d._id.walletAddress,
+      reason: d._id.reason,
+      times: d.times,
+      excessCredits: d.total - d.total / d.times,
+      firstCreditedAt: d.first
+    });
+  }
+}
+
+/**
+ * Deposits that were claimed but whose credits were never added (the
+ * process died between the insert and the $inc).
+ */
+async function findUncreditedDeposits(findings) {
+  const stuck = await Deposit.find({
+    creditedAt: null,
+    createdAt: { $lt: new Date(Date.now() - UNCREDITED_AFTER_MS) }
+  }).lean();
+
+  for (const d of stuck) {
+    findings.push({
+      type: 'uncredited-deposit',
+      walletAddress: d.walletAddress,
+      txid: d.txid,
+      coinType: d.coinType,
+      amount: d.amount,
+      missingCredits: d.creditsAdded,
+      createdAt: d.createdAt
+    });
+  }
+}
+
+/**
+ * Pending deposits the classifier still can't resolve (e.g. the indexer
+ * never reports their inputs) after PENDING_DEPOSIT_TTL_HOURS. They may be
+ * real deposits, so they're kept and left to a human to credit or ignore.
+ */
+async function findUnresolvedDeposits(findings) {
+  const users = await User.find({ 'pendingDeposits.flaggedAt': { $type: 'date' } })
+    .select('walletAddress pendingDeposits')
+    .lean();
+
+  for (const user of users) {
+    for (const pending of user.pendingDeposits) {
+      if (!pending.flaggedAt) continue;
+      findings.push({
+        type: 'unresolved-deposit',
+        walletAddress: user.walletAddress,
+        txid: pending.txid,
+        coinType: pending.coinType,
+        amount: pending.amount,
+        firstSeenAt: pending.firstSeenAt
+      });
+    }
+  }
+}
+
+/**
+ * Run every check. Returns { backfilled, findings }; each finding is
+ * also logged.
+ */
+async function reconcileDeposits() {
+  const findings = [];
+  const backfilled = await backfillLegacyDeposits(findings);
+  await findDuplicateLedgerCredits(findings);
+  await findUncreditedDeposits(findings);
+  await findUnresolvedDeposits(findings);
+
+  for (const finding of findings) {
+    console.warn("Deposit reconciliation:", JSON.stringify(finding));
+  }
+  console.log(`Deposit reconciliation: ${backfilled} backfilled, ${findings.length} finding(s)`);
+  return { backfilled, findings };
+}
+
+module.exports = {
+  reconcileDeposits
+};
@@ -1,138 +1,389 @@
 // backend/services/depositService.js
 
-const axios = require('axios');
 const User = require('../models/User');
+const Deposit = require('../models/Deposit');
+const creditLedger = require('./creditLedger');
+const { notify } = require('./notifications');
+const {
+  TRANSIENT_REASONS,
+  UNRELATED_REASONS,
+  ownTransactionIds,
+  classifyKasTransaction,
+  classifyKrc20Operation
+} = require('./depositClassifier');
+const { getIndexer } = require('./indexers');
+const pricing = require('./pricing');
 
-// 1 credit = 1 KAS, 1 credit = 1/800 KASPER
-const CREDIT_CONVERSION = {
-  KAS: 1 / 1,       // 1 credit = 1 KAS
-  KASPER: 1 / 800   // 1 credit = 800 KASPER
-};
+// How far (in DAA score, ~10 per second on mainnet) the virtual chain must
+// be past a KAS deposit's accepting block before the deposit is credited
+const DEPOSIT_CONFIRMATIONS = parseInt(process.env.DEPOSIT_CONFIRMATIONS || '100', 10);
+// Pending deposits that never get accepted (e.g. lost in a reorg) are dropped after this
+const PENDING_DEPOSIT_TTL_MS = parseFloat(process.env.PENDING_DEPOSIT_TTL_HOURS || '24') * 60 * 60 * 1000;
+// History pages read per coin per scan; longer histories continue on the next scan
+const DEPOSIT_SCAN_MAX_PAGES = parseInt(process.env.DEPOSIT_SCAN_MAX_PAGES || '20', 10);
+const DEPOSIT_SCAN_PAGE_SIZE = parseInt(process.env.DEPOSIT_SCAN_PAGE_SIZE || '100', 10);
 
 /**
- * Process KRC20 (KASPER) deposits for a single user.
+ * Convert one deposit into credits (once per txid) at the current rate
+ * (see pricing.creditRate) and tell the user's open sessions. Returns the
+ * updated user, or null if already credited.
+ */
+async function applyDeposit(walletAddress, { txid, coinType, amount }) {
+  const rate = await pricing.creditRate(coinType);
+  const creditsToAdd = amount * rate.creditsPerUnit;
+  const user = await creditLedger.creditDeposit(walletAddress, {
+    txid,
+    coinType,
+    amount,
+    credits: creditsToAdd,
+    rate
+  });
+  if (!user) return null;
+  console.log(
+    `Credited ${creditsToAdd.toFixed(8)} credits to user ${user.username} from ${coinType} tx ${txid}`
+  );
+  await notify(walletAddress, 'deposit', {
+    txid,
+    coinType,
+    amount,
+    creditsAdded: creditsToAdd,
+    credits: user.credits
+  });
+  return user;
+}
+
+function notifyPendingDeposit(walletAddress, { txid, coinType, amount, confirmations }) {
+  return notify(walletAddress, 'deposit-pending', {
+    txid,
+    coinType,
+    amount,
+    confirmations,
+    requiredConfirmations: coinType === 'KAS' ? DEPOSIT_CONFIRMATIONS : null
+  });
+}
+
+/**
+ * Show a deposit as unconfirmed until it's deep enough to credit.
+ * Notifies the user once the deposit is known to be one, so not while it's
+ * `unresolved`: the classifier can't tell yet whether it's a deposit at all
+ * (see TRANSIENT_REASONS). Unresolved entries don't expire; past
+ * PENDING_DEPOSIT_TTL_HOURS they're flagged for reconciliation instead.
  */
-async function processUserKasperDeposits(user) {
-  if (!Array.isArray(user.processedTransactions)) {
-    user.processedTransactions = [];
+async function recordPendingDeposit(walletAddress, { txid, coinType, amount, confirmations, unresolved = false }) {
+  if (await Deposit.exists({ txid, coinType, walletAddress })) return;
+  const now = new Date();
+  if (!unresolved) {
+    const resolved = await User.updateOne(
+      { walletAddress, pendingDeposits: { $elemMatch: { txid, unresolved: true } } },
+      {
+        $set: {
+          'pendingDeposits.$.confirmations': confirmations,
+          'pendingDeposits.$.unresolved': false,
+          'pendingDeposits.$.flaggedAt': null,
+          'pendingDeposits.$.checkedAt': now
+        }
+      }
+    );
+    if (resolved.modifiedCount > 0) {
+      return notifyPendingDeposit(walletAddress, { txid, coinType, amount, confirmations });
+    }
   }
-  const walletAddress = user.walletAddress;
-  const url = `https://api.kasplex.org/v1/krc20/oplist?address=${walletAddress}&tick=KASPER`;
+  const updated = await User.updateOne(
+    { walletAddress, 'pendingDeposits.txid': txid },
+    {
+      $set: {
+        'pendingDeposits.$.confirmations': confirmations,
+        'pendingDeposits.$.unresolved': unresolved,
+        'pendingDeposits.$.checkedAt': now
+      }
+    }
+  );
+  if (updated.matchedCount > 0) return;
 
-  try {
-    const response = await axios.get(url);
-    if (response.data.message !== "successful") {
-      console.error(`Unexpected KASPER response for ${walletAddress}:`, response.data);
-      return;
+  const added = await User.updateOne(
+    { walletAddress, 'pendingDeposits.txid': { $ne: txid }, 'processedTransactions.txid': { $ne: txid } },
+    { $push: { pendingDeposits: { txid, coinType, amount, confirmations, unresolved, firstSeenAt: now, checkedAt: now } } }
+  );
+  if (added.modifiedCount > 0 && !unresolved) {
+    await notifyPendingDeposit(walletAddress, { txid, coinType, amount, confirmations });
+  }
+}
+
+/**
+ * Record that a transaction paying the deposit address won't be credited,
+ * and why. Drops it from pendingDeposits if it got there first.
+ */
+async function ignoreDeposit(walletAddress, { txid, coinType, amount, reason }) {
+  if (UNRELATED_REASONS.has(reason) || await Deposit.exists({ txid, coinType, walletAddress })) {
+    await User.updateOne({ walletAddress }, { $pull: { pendingDeposits: { txid } } });
+    return;
+  }
+  const ignored = await User.updateOne(
+    { walletAddress, 'ignoredTransactions.txid': { $ne: txid }, 'processedTransactions.txid': { $ne: txid } },
+    {
+      $push: { ignoredTransactions: { txid, coinType, amount, reason, timestamp: new Date() } },
+      $pull: { pendingDeposits: { txid } }
     }
-    const transactions = response.data.result || [];
+  );
+  if (ignored.modifiedCount > 0) {
+    console.log(`Not crediting ${coinType} tx ${txid} to ${walletAddress}: ${reason}`);
+  }
+}
 
-    for (const tx of transactions) {
-      const hashRev = tx.hashRev;
-      const amt = parseInt(tx.amt, 10) / 1e8; // from sompi
-      const opType = tx.op;
-      const toAddress = tx.to;
-
-      // skip if already processed
-      const alreadyProcessed = user.processedTransactions.some(
-        (t) => t.txid === hashRev
-      );
-
-      // Must be "transfer" to this wallet and not processed
-      if (
-        opType.toLowerCase() === "transfer" &&
-        toAddress === walletAddress &&
-        !alreadyProcessed
-      ) {
-        const creditsToAdd = amt * CREDIT_CONVERSION.KASPER;
-        user.credits += creditsToAdd;
-
-        user.processedTransactions.push({
-          txid: hashRev,
-          coinType: "KASPER",
-          amount: amt,
-          creditsAdded: creditsToAdd,
-          timestamp: new Date()
-        });
-        console.log(
-          `Credited ${creditsToAdd.toFixed(8)} credits to user ${user.username} from KASPER tx ${hashRev}`
-        );
-      }
+/**
+ * Credit a KAS deposit if it's deep enough, otherwise keep it pending.
+ * Only for transactions classifyKasTransaction accepted as deposits.
+ */
+async function settleKasDeposit(walletAddress, { txid, amount }, confirmations) {
+  if (confirmations >= DEPOSIT_CONFIRMATIONS) {
+    return applyDeposit(walletAddress, { txid, coinType: "KAS", amount });
+  }
+  return recordPendingDeposit(walletAddress, { txid, coinType: "KAS", amount, confirmations });
+}
+
+/**
+ * Look a KAS transaction paying `walletAddress` up on the indexer and
+ * credit it, keep it pending, or ignore it if it turns out to be our own.
+ * Returns the updated user if it was credited.
+ */
+async function recheckKasDeposit(walletAddress, { txid, amount }, ownTxids) {
+  const indexer = getIndexer();
+  const tx = await indexer.getKasTransaction(txid, { address: walletAddress });
+  if (!tx) {
+    // Not indexed yet, so not classified either
+    return recordPendingDeposit(walletAddress, { txid, coinType: "KAS", amount, confirmations: 0, unresolved: true });
+  }
+  const decision = classifyKasTransaction(tx, walletAddress, ownTxids || await ownTransactionIds(walletAddress));
+  if (!decision.credit) {
+    if (TRANSIENT_REASONS.has(decision.reason)) {
+      return recordPendingDeposit(walletAddress, { txid, coinType: "KAS", amount, confirmations: 0, unresolved: true });
     }
-  } catch (err) {
-    console.error(`Error fetching KASPER for ${walletAddress}:`, err.message);
+    return ignoreDeposit(walletAddress, { txid, coinType: "KAS", amount: decision.amount, reason: decision.reason });
   }
+  const { confirmations } = await indexer.getTransactionStatus(txid, { address: walletAddress });
+  return settleKasDeposit(walletAddress, { txid, amount: decision.amount }, confirmations);
 }
 
 /**
- * Process Kaspa (KAS) deposits for a single user.
+ * Credit a KASPER deposit once the kasplex indexer has accepted the
+ * operation; rejected operations are ignored.
  */
-async function processUserKaspaDeposits(user) {
-  if (!Array.isArray(user.processedTransactions)) {
-    user.processedTransactions = [];
+async function settleKasperDeposit(walletAddress, { txid, amount }, opAccept) {
+  if (opAccept === "1") {
+    return applyDeposit(walletAddress, { txid, coinType: "KASPER", amount });
   }
-  const kaspaAddress = user.walletAddress;
-  const url = `https://api.kaspa.org/addresses/${kaspaAddress}/full-transactions?limit=50&offset=0&resolve_previous_outpoints=no`;
+  if (opAccept === "-1") {
+    await User.updateOne({ walletAddress }, { $pull: { pendingDeposits: { txid } } });
+    return null;
+  }
+  return recordPendingDeposit(walletAddress, { txid, coinType: "KASPER", amount, confirmations: 0 });
+}
+
+/**
+ * Walk an address's history newest-first, page by page, until it reaches
+ * activity older than the stored high-water mark or runs out of pages.
+ * A walk cut short by DEPOSIT_SCAN_MAX_PAGES or an error is resumed from
+ * its saved cursor on the next scan, and the high-water mark only moves
+ * once a walk completes, so nothing in between is ever skipped.
+ * Marks and cursors only mean something to the indexer that produced them,
+ * so state saved by another indexer is discarded and the walk starts over.
+ *
+ *   indexer           name of the indexer serving the pages
+ *   fetchPage(cursor) => { items, next }   next is null on the last page
+ *   markOf(item)      => BigInt ordering key, larger is newer
+ *   handle(item)      => process one item (must be idempotent); may return
+ *                        an outcome label, counted in the report
+ *
+ * Returns a report of how far the scan got.
+ */
+async function scanHistory(user, coinType, { indexer, fetchPage, markOf, handle }) {
+  const stored = (user.depositScan && user.depositScan[coinType]) || {};
+  // State from before scans recorded their indexer came from the public API
+  const saved = (stored.indexer || 'public') === indexer ? stored : {};
+  const highWater = saved.highWater ? BigInt(saved.highWater) : null;
+  let cursor = saved.cursor || null;
+  let walkTop = cursor && saved.walkTop ? BigInt(saved.walkTop) : null;
+  const report = {
+    coinType,
+    resumed: Boolean(cursor),
+    pagesRead: 0,
+    transactionsSeen: 0,
+    complete: false,
+    error: null,
+    outcomes: {}   // reason => number of transactions, see depositClassifier.REASONS
+  };
 
   try {
-    const response = await axios.get(url);
-    const transactions = Array.isArray(response.data) ? response.data : [];
-
-    for (const tx of transactions) {
-      const txHash = tx.hash;
-      if (!tx.outputs || tx.outputs.length === 0) continue;
-
-      // Sum the outputs that pay user
-      let sumToUser = 0;
-      for (const out of tx.outputs) {
-        if (out.script_public_key_address === kaspaAddress) {
-          // out.amount is in sompi => 1e8 = 1 KAS
-          const outKas = parseInt(out.amount, 10) / 1e8;
-          sumToUser += outKas;
+    while (report.pagesRead < DEPOSIT_SCAN_MAX_PAGES) {
+      const { items, next } = await fetchPage(cursor);
+      report.pagesRead++;
+      let reachedHighWater = false;
+      for (const item of items) {
+        const mark = markOf(item);
+        if (highWater !== null && mark < highWater) {
+          reachedHighWater = true;
+          break;
         }
+        if (walkTop === null || mark > walkTop) walkTop = mark;
+        report.transactionsSeen++;
+        const outcome = await handle(item);
+        if (outcome) report.outcomes[outcome] = (report.outcomes[outcome] || 0) + 1;
       }
-
-      if (sumToUser > 0) {
-        const alreadyProcessed = user.processedTransactions.some(
-          (t) => t.txid === txHash
-        );
-        if (!alreadyProcessed) {
-          const creditsToAdd = sumToUser * CREDIT_CONVERSION.KAS;
-          user.credits += creditsToAdd;
-
-          user.processedTransactions.push({
-            txid: txHash,
-            coinType: "KAS",
-            amount: sumToUser,
-            creditsAdded: creditsToAdd,
-            timestamp: new Date()
-          });
-          console.log(
-            `Credited ${creditsToAdd.toFixed(8)} credits to user ${user.username} from KAS tx ${txHash}`
-          );
-        }
+      if (reachedHighWater || !next || items.length === 0) {
+        report.complete = true;
+        break;
       }
+      cursor = next;
     }
   } catch (err) {
-    console.error(`Error fetching KAS for ${kaspaAddress}:`, err.message);
+    report.error = err.message;
+    console.error(`Error scanning ${coinType} history for ${user.walletAddress}:`, err.message);
   }
+
+  const state = report.complete
+    ? { highWater: walkTop !== null ? String(walkTop) : (saved.highWater || null), walkTop: null, cursor: null }
+    : { highWater: saved.highWater || null, walkTop: walkTop !== null ? String(walkTop) : null, cursor };
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { [`depositScan.${coinType}`]: { ...state, indexer, lastScanAt: new Date() } } }
+  );
+  return { ...report, highWater: state.highWater, resumeCursor: state.cursor };
+}
+
+/**
+ * Process KRC20 (KASPER) deposits for a single user.
+ */
+async function processUserKasperDeposits(user, seen, ownTxids) {
+  const walletAddress = user.walletAddress;
+  const indexer = getIndexer();
+
+  return scanHistory(user, 'KASPER', {
+    indexer: indexer.name,
+    fetchPage: (next) => indexer.listKrc20Operations(walletAddress, 'KASPER', next),
+    markOf: (tx) => BigInt(tx.opScore || 0),
+    async handle(tx) {
+      const hashRev = tx.hashRev;
+      if (seen.has(hashRev)) return 'already-recorded';
+
+      const decision = classifyKrc20Operation(tx, walletAddress, ownTxids);
+      if (decision.credit) {
+        await settleKasperDeposit(walletAddress, { txid: hashRev, amount: decision.amount }, tx.opAccept);
+      } else {
+        await ignoreDeposit(walletAddress, { txid: hashRev, coinType: "KASPER", amount: decision.amount, reason: decision.reason });
+      }
+      return decision.reason;
+    }
+  });
+}
+
+/**
+ * Process Kaspa (KAS) deposits for a single user.
+ */
+async function processUserKaspaDeposits(user, seen, ownTxids) {
+  const kaspaAddress = user.walletAddress;
+  const indexer = getIndexer();
+
+  return scanHistory(user, 'KAS', {
+    indexer: indexer.name,
+    fetchPage: (cursor) => indexer.listKasTransactions(kaspaAddress, cursor, { limit: DEPOSIT_SCAN_PAGE_SIZE }),
+    markOf: (tx) => BigInt(tx.order || 0),
+    async handle(tx) {
+      const txHash = tx.txid;
+      if (seen.has(txHash)) return 'already-recorded';
+
+      const decision = classifyKasTransaction(tx, kaspaAddress, ownTxids);
+      if (decision.credit) {
+        const { confirmations } = tx.accepted
+          ? await indexer.getTransactionStatus(txHash, { address: kaspaAddress })
+          : { confirmations: 0 };
+        await settleKasDeposit(kaspaAddress, { txid: txHash, amount: decision.amount }, confirmations);
+      } else if (TRANSIENT_REASONS.has(decision.reason)) {
+        // The high-water mark will move past it; promotePendingDeposits retries it
+        await recordPendingDeposit(kaspaAddress, {
+          txid: txHash, coinType: "KAS", amount: decision.amount, confirmations: 0, unresolved: true
+        });
+      } else {
+        await ignoreDeposit(kaspaAddress, { txid: txHash, coinType: "KAS", amount: decision.amount, reason: decision.reason });
+      }
+      return decision.reason;
+    }
+  });
 }
 
 /**
- * On-demand deposit check for a single user.
+ * On-demand deposit check for a single user. Returns one scan report per
+ * coin (see scanHistory).
  */
 async function fetchAndProcessUserDeposits(walletAddress) {
-  const user = await User.findOne({ walletAddress });
+  const user = await User.findOne({ walletAddress }).lean();
   if (!user) {
     throw new Error(`User not found for wallet ${walletAddress}`);
   }
+  // Already credited or already ruled out; neither is classified again
+  const deposits = await Deposit.find({ walletAddress }).select('txid').lean();
+  const seen = new Set([
+    ...deposits.map(d => d.txid),
+    ...(user.processedTransactions || []).map(t => t.txid),
+    ...(user.ignoredTransactions || []).map(t => t.txid)
+  ]);
+  const ownTxids = await ownTransactionIds(walletAddress);
 
-  // KASPER
-  await processUserKasperDeposits(user);
-  // KAS
-  await processUserKaspaDeposits(user);
+  return {
+    KASPER: await processUserKasperDeposits(user, seen, ownTxids),
+    KAS: await processUserKaspaDeposits(user, seen, ownTxids)
+  };
+}
 
-  await user.save();
+/**
+ * Re-check pending deposits and credit the ones that are now deep enough.
+ * Run periodically by worker.js.
+ */
+async function promotePendingDeposits(limit = 50) {
+  const users = await User.find({ 'pendingDeposits.0': { $exists: true } })
+    .select('walletAddress pendingDeposits')
+    .sort({ 'pendingDeposits.checkedAt': 1 })
+    .limit(limit)
+    .lean();
+  if (!users.length) return 0;
+  const indexer = getIndexer();
+
+  let promoted = 0;
+  for (const user of users) {
+    let ownTxids = null;
+    for (const pending of user.pendingDeposits) {
+      const { walletAddress } = user;
+      const { txid, coinType, amount } = pending;
+      try {
+        if (Date.now() - new Date(pending.firstSeenAt).getTime() > PENDING_DEPOSIT_TTL_MS) {
+          if (!pending.unresolved) {
+            await User.updateOne({ walletAddress }, { $pull: { pendingDeposits: { txid } } });
+            console.warn(`Dropped pending ${coinType} deposit ${txid} for ${walletAddress}: never confirmed`);
+            continue;
+          }
+          // Possibly real coins we couldn't classify: keep checking, and leave it to reconciliation
+          if (!pending.flaggedAt) {
+            await User.updateOne(
+              { walletAddress, 'pendingDeposits.txid': txid },
+              { $set: { 'pendingDeposits.$.flaggedAt': new Date() } }
+            );
+            console.warn(`Pending ${coinType} deposit ${txid} for ${walletAddress} is still unresolved; flagged for review`);
+          }
+        }
+        let credited;
+        if (coinType === 'KASPER') {
+          const op = await indexer.getKrc20Operation(txid);
+          credited = await settleKasperDeposit(walletAddress, { txid, amount }, op && op.opAccept);
+        } else {
+          if (!ownTxids) ownTxids = await ownTransactionIds(walletAddress);
+          credited = await recheckKasDeposit(walletAddress, { txid, amount }, ownTxids);
+        }
+        if (credited) promoted++;
+      } catch (err) {
+        console.error(`Error checking pending deposit ${txid} for ${walletAddress}:`, err.message);
+      }
+    }
+  }
+  return promoted;
 }
 
 /**
@@ -142,15 +393,19 @@ async function fetchAndProcessUserDeposits(walletAddress) {
   // If you want minimal scanning, you could do e.g. once daily:
   // cron.schedule('0 0 * * *', async () => {
   //   console.log('Daily deposit check for all users...');
-  //   const users = await User.find({});
+  //   const users = await User.find({}).select('walletAddress').lean();
   //   for(const user of users) {
-  //     await processUserKasperDeposits(user);
-  //     await processUserKaspaDeposits(user);
-  //     await user.save();
+  //     await fetchAndProcessUserDeposits(user.walletAddress);
   //   }
   // });
 
 
 module.exports = {
+  DEPOSIT_CONFIRMATIONS,
+  applyDeposit,
+  recordPendingDeposit,
+  ignoreDeposit,
+  recheckKasDeposit,
+  promotePendingDeposits,
   fetchAndProcessUserDeposits
 };
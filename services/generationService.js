@@ -0,0 +1,312 @@
+// backend/services/generationService.js
+
+const User = require('../models/User');
+const jobStore = require('./jobStore');
+const { callWithRetry } = require('./openaiRetry');
+const { getTextProvider, getImageProvider } = require('./llm');
+const { fillImagePlaceholders } = require('./placeholders');
+const { assetUrl, persistImages, rewriteHtmlAssets } = require('./assetStore');
+const { settleFinishedJob } = require('./creditLedger');
+
+// Minimum gap between job updates while the completion is streaming
+const STREAM_FLUSH_MS = parseInt(process.env.STREAM_FLUSH_MS || '750', 10);
+// Rough completion length used to turn streamed tokens into a progress number
+const EXPECTED_SITE_TOKENS = 4000;
+
+/**
+ * Image stage: logo (nav + footer) and hero background. Uploaded branding
+ * (userInputs.logoAssetId / heroAssetId) is used as-is; only the missing
+ * images are generated. A failed image is recorded on the job and its
+ * placeholder is left in place rather than failing the whole generation.
+ */
+async function generateSiteImages(job, userInputs, signal) {
+  const images = {};
+  if (userInputs && userInputs.logoAssetId) images.navLogo = assetUrl(userInputs.logoAssetId);
+  if (userInputs && userInputs.heroAssetId) images.heroBg = assetUrl(userInputs.heroAssetId);
+
+  const provider = getImageProvider();
+  if (!provider || provider.imageModels.length === 0) {
+    if (images.navLogo) images.footerImg = images.navLogo;
+    return images;
+  }
+
+  const { coinName, colorPalette, projectType, themeSelection, projectDesc } = userInputs || {};
+  const kind = (projectType || '').toLowerCase() === 'nft' ? 'NFT collection' : 'crypto token';
+  const requests = [
+    {
+      key: 'navLogo',
+      size: '1024x1024',
+      prompt: `A clean, modern logo mark for the ${kind} "${coinName}". ${projectDesc || ''} `
+        + `Colors: ${colorPalette}. Centered on a plain transparent-looking background, no text, flat vector style, high contrast.`
+    },
+    {
+      key: 'heroBg',
+      size: '1024x1024',
+      prompt: `An abstract ${themeSelection} themed website hero background for the ${kind} "${coinName}". `
+        + `Smooth gradients in ${colorPalette}, soft glow, subtle depth, no text, no logos.`
+    }
+  ].filter(({ key }) => !images[key]);
+
+  const errors = [];
+  let generated = 0;
+  let done = 0;
+  await Promise.all(requests.map(async ({ key, size, prompt }) => {
+    try {
+      const { result } = await callWithRetry(model => provider.generateImage(
+        { model, prompt, size },
+        { signal, context: { userInputs } }
+      ), {
+        models: provider.imageModels,
+        signal,
+        onAttempt: attempt => jobStore.recordModelAttempt(job, attempt)
+      });
+      images[key] = result.url;
+      generated++;
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      console.error(`Image generation (${key}) failed for job ${job.requestId}:`, err.message);
+      errors.push(`${key}: ${err.message}`);
+    }
+    done++;
+    await jobStore.reportStage(job, 'images', { progress: 70 + done * 10 });
+  }));
+
+  // The footer repeats the nav logo
+  if (images.navLogo) images.footerImg = images.navLogo;
+  // Settlement refunds the image cost held for anything not generated
+  await jobStore.updateJob(job, { imagesGenerated: generated, imageErrors: errors });
+  return images;
+}
+
+/**************************************************
+ * MAIN background generation function
+ **************************************************/
+async function doWebsiteGeneration(job, signal){
+  const { requestId, userInputs, walletAddress } = job;
+  try{
+    const { coinName, colorPalette, projectType, themeSelection, projectDesc } = userInputs || {};
+    await jobStore.setProgress(job,10);
+
+    const snippetInspiration=`
+<html>
+<head>
+  <style>
+    /* Example gradient & shimmer */
+    body {
+      margin: 0; padding: 0;
+      font-family: sans-serif;
+    }
+    .shimmer-bg {
+      background: linear-gradient(90deg, rgba(255,255,255,0.1) 0%, rgba(255,255,255,0.3) 50%, rgba(255,255,255,0.1) 100%);
+      background-size:200% 200%;
+      animation: shimmerMove 2s infinite;
+    }
+    @keyframes shimmerMove {
+      0% { background-position:-200% 0;}
+      100%{ background-position:200% 0;}
+    }
+  </style>
+</head>
+<body>
+  <!-- snippet with shimmer -->
+</body>
+</html>
+`;
+
+    let systemPrompt=`
+    You are a website building ai for my app. Create a full finished beautiful site each time and Generate the single HTML file with EXACT comment markers for each section: 
+<!-- SECTION: nav -->, <!-- END: NAV --> .  and the file must be like this <!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <style>
+{css}
+  </style>
+</head>
+<body>
+{html}
+</body>
+</html> its integral for my app to work. Make sure to properly layout sites. heading then under it subheading. that type of normal human center vertical layout but give a grid layout to components like cards. The best in the business. utilizing modern styling and css animations. gradients. glass cards.
+- Use a gradient of "${colorPalette}" plus the a "${themeSelection}" theme for the color scheming of the background and give an opposite contrast for the components. all sections backgrounds should have a "${themeSelection}" gradient theming following our colors.  keep a consistent theming across the site, gradient and nice looks. 
+- Think of the cleanest best websites like apple and others. thats how we need it, not some old 2018 structure.
+- Make all sections fully responsive with strong spacing, advanced transitions, glassmorphism, gradient text, etc. Advanced CSS, fade in animations hover animations etc.
+- For all the sections except nav and footer, first a heading then under it a subheading, then under that the content. stop putting the heading next to the subheading or the subheading next to the content. it has to be stacked like a normal website.
+- Separate sections in this order a nice css js flow between all sections with fade in and those type of anims:
+- Buttons are placeholders only. Not clickable.
+- Every element must be thought to match/contrast with the other elements and make sure there is a nice flow. 
+- No leftover code fences just the raw output as i will insert to an iframe, no text just code.
+
+Use snippet below for partial inspiration (no code fences):
+${snippetInspiration}
+    `;
+
+    // If NFT or token, add more specifics
+    if(projectType.toLowerCase() === 'nft'){
+      systemPrompt += `
+the file must be like this <!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <style>
+{css}
+  </style>
+</head>
+<body>
+{html}
+</body>
+</html>
+     You are a website building ai now building a site for the crypto nft project "${coinName}". here is a quick description of the project "${projectDesc}" Generate the single HTML file with EXACT comment markers for each section:
+     <!-- SECTION: nav -->, <!-- END: NAV --> .The best in the business. making an nft website. utilizing modern styling and css animations. gradients. glass cards. "${colorPalette}" is the color palette for tones. and a "${themeSelection}" theme for the site
+      make sure to have all these sections.
+      1) Modern Looking glass Nav (non-sticky) with a 256x256 transparent token logo fit to a nice size => "NAV_IMAGE_PLACEHOLDER" on the left side and on the right side some placeholder nav links that don't work. make sure the image and links are on the same horizontal block and on the left and right like requested. advanced and creative CSS and js (Also repeated in footer as "FOOTER_IMAGE_PLACEHOLDER", same image). 
+        2) Modern Big glass hero with a image named (i will replace it) "HERO_BG_PLACEHOLDER" (1024x1024).proper spacing for the heading and subheading. its our splash page. center text. nicely sized cards Must show coin name "${coinName}" and reference "${projectDesc}". advanced and creative CSS and js Space them nicely though.
+      3) A heading and under it a subheading component and then under it a Vertical roadmap (5 glass steps).nicely sized cards Fancy. advanced and creative CSS and js Make sure their width is fitting to the screen size.
+      4) A heading and under it a subheading component and then under it a NFT distribution section with 3 fancy gradient/glass cards.advanced and creative CSS and js nicely sized cards Under the heading, not next to. Laid out horizontally on computer taking up a whole row of the screen or on mobile vertically laid out.
+      5) A heading and under it a subheading component and then under it Exchange/analytics with 6 glass placeholders (laid out nicely).advanced and creative CSS and js nicely sized cards. Under the heading. 2 rows, 3 columns on computer that take up wide enough not so skinny it only takes up one part we need the whole section of the screen and, vertical layout for mobile. Under the heading.
+      6) A heading and under it a subheading component and then under it a collection section with 8 placeholder cards for example nfts. Beatiful looks nicely sized cards, advanced and creative CSS and js
+      7) glass Footer section at the bottom not sticky. Uses FOOTER_IMAGE_PLACEHOLDER on the left fit to a nice size and on the right it uses placeholder social links that don't work. fake unclickable buttons.
+    - Buttons are placeholders only. Not clickable.
+    - Every element must be thought to match/contrast with the other elements and make sure there is a nice flow. 
+    - No leftover code fences just the raw output as i will insert to an iframe, no text just code.
+       `;
+    } else {
+      systemPrompt += `
+You are a website building ai now building a site for the crypto token "${coinName}".here is a quick description of the project "${projectDesc}" Generate the single HTML file with EXACT comment markers for each section: 
+        <!-- SECTION: nav -->, <!-- END: NAV --> .The best in the business. making an memecoin website. utilizing modern styling and css animations. gradients. glass cards. "${colorPalette}" is the color pallete for tones. and a "${themeSelection}" theme for the site
+         make sure to have all these sections. with all of the requested features. we need everything.
+         1) Modern Looking glass Nav (non-sticky) with a 256x256 transparent token logo fit to a nice size => "NAV_IMAGE_PLACEHOLDER" on the left side and on the right side some placeholder nav links that don't work. make sure the image and links are on the same horizontal block and on the left and right like requested. advanced and creative CSS and js (Also repeated in footer as "FOOTER_IMAGE_PLACEHOLDER", same image). 
+        2) Modern Big glass hero with a image named (i will replace it) "HERO_BG_PLACEHOLDER" (1024x1024).proper spacing for the heading and subheading. its our splash page. center text. nicely sized cards Must show coin name "${coinName}" and reference "${projectDesc}". advanced and creative CSS and js Space them nicely though.
+        3) A heading and under it a subheading component and then under it a Vertical roadmap (5 glass steps).nicely sized cards Fancy. advanced and creative CSS and js Make sure their width is fitting to the screen size.
+        4) A heading and under it a subheading component and then under it Tokenomics with 3 fancy gradient/glass cards.advanced and creative CSS and js nicely sized cards Under the heading, not next to. Laid out horizontally on computer taking up a whole row of the screen or on mobile vertically laid out.
+        5) A heading and under it a subheading component and then under it Exchange/analytics with 6 glass placeholders (laid out nicely).advanced and creative CSS and js nicely sized cards. Under the heading. 2 rows, 3 columns on computer that take up wide enough not so skinny it only takes up one part we need the whole section of the screen and, vertical layout for mobile. Under the heading.
+        6) A heading and under it a subheading component and then under it 2 glass-card about section. Beatiful looks nicely sized cards, advanced and creative CSS and js
+        7) glass Footer section at the bottom not sticky. Uses FOOTER_IMAGE_PLACEHOLDER on the left fit to a nice size and on the right it uses placeholder social links that don't work. fake unclickable buttons.
+        no leftover code fences. fake buttons.
+         - Buttons are placeholders only. Not clickable.
+        - Every element must be thought to match/contrast with the other elements and make sure there is a nice flow. 
+        - No leftover code fences just the raw output as i will insert to an iframe, no text just code.
+      `;
+    }
+
+    await jobStore.reportStage(job,'prompt-built',{progress:20});
+
+    // Push partial output to the job so /progress/stream can show it live
+    let lastFlush = 0;
+    const onDelta = (content, tokenCount) => {
+      const now = Date.now();
+      if (now - lastFlush < STREAM_FLUSH_MS) return;
+      lastFlush = now;
+      const progress = 20 + Math.min(39, Math.floor(tokenCount / EXPECTED_SITE_TOKENS * 40));
+      jobStore.reportStage(job,'model-streaming',{progress,tokenCount,partialCode:content})
+      .catch(err=>console.error("Failed to report streaming progress:",err.message));
+    };
+
+    // TEXT GENERATION via the configured provider (retries with backoff, then falls back to the next model)
+    const provider = getTextProvider();
+    let gptText;
+    let usedModel;
+    try {
+      ({ result: gptText, model: usedModel } = await callWithRetry(model => provider.streamChat({
+        model,
+        messages: [
+          { role: "system", content: systemPrompt },
+          {
+            role: "user",
+            content: `
+Generate the single HTML file with EXACT sections (nav, hero, etc.). 
+for grapejs put the code in <!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <style>
+{css}
+  </style>
+</head>
+<body>
+{html}
+</body> as an example plus the correct comment markers for each section example <!-- SECTION: nav -->, <!-- END: NAV --> . 
+No leftover code blocks or markdown fences. 
+Ensure it is fully responsive. 
+All advanced animations, glass styling, etc. 
+make sure its formatted for GrapesJS.
+- Use a gradient of "${colorPalette}" plus the a "${themeSelection}" theme for the color scheming of the background and give an opposite contrast for the components. all sections backgrounds should have a "${themeSelection}" gradient theming following our colors.  keep a consistent theming across the site, gradient and nice looks.
+-properly l layout and size sites and components like grid things. 
+`
+          }
+        ],
+        temperature: 0.7,
+        max_tokens: 5000
+      }, { onDelta, signal, context: { userInputs } }), {
+        models: provider.models,
+        signal,
+        onAttempt: attempt => jobStore.recordModelAttempt(job, attempt)
+      }));
+    } catch (err) {
+      if (err.response && err.response.status === 429) {
+        console.error("OpenAI rate limit error in doWebsiteGeneration:", err.response.statusText);
+        await jobStore.failJob(job,"OpenAI rate limit reached.");
+        return;
+      }
+      throw err;
+    }
+
+    // Cancelled or timed out while the model was streaming: leave the job as it is
+    if(signal && signal.aborted) return;
+
+    let siteCode = gptText.trim();
+    await jobStore.reportStage(job,'post-processing',{progress:60,model:usedModel});
+
+    // remove leftover code fences
+    siteCode = siteCode.replace(/```+/g,"");
+
+    await jobStore.reportStage(job,'images',{progress:70});
+    // Provider image URLs expire, so copy them into the asset store first
+    const images = await persistImages(
+      await generateSiteImages(job, userInputs, signal),
+      { walletAddress }
+    );
+    const savedCode = await rewriteHtmlAssets(fillImagePlaceholders(siteCode, images), { walletAddress });
+    if(signal && signal.aborted) return;
+
+    // Save final code. Null means the job was cancelled or taken over
+    // meanwhile; whoever owns it now decides what the user sees.
+    const completed = await jobStore.completeJob(job,siteCode,images);
+    if(!completed){
+      console.log(`Job ${requestId} is no longer ours, dropping its result.`);
+      return;
+    }
+
+    // Save to DB (with images filled in; the job keeps the raw code + image map)
+    await User.updateOne(
+      { walletAddress, 'generatedFiles.requestId': { $ne: requestId } },
+      { $push: { generatedFiles: { requestId, content: savedCode, generatedAt: new Date() } } }
+    );
+
+  } catch(error){
+    console.error("Error in background generation:", error);
+    await jobStore.failJob(job,error.message)
+    .catch(jobErr=>console.error("Failed to mark job as failed:",jobErr));
+  }
+}
+
+/**
+ * Run one claimed job, then settle its credit from wherever it ended up:
+ * charged when done, refunded on error, timeout or cancellation.
+ */
+async function runGenerationJob(job, signal) {
+  const { requestId } = job;
+  try {
+    await doWebsiteGeneration(job, signal);
+  } catch (err) {
+    console.error("Background generation error:", err);
+    await jobStore.failJob(job, err.message)
+      .catch(jobErr => console.error("Failed to mark job as failed:", jobErr));
+  }
+  await settleFinishedJob(requestId)
+    .catch(err => console.error(`Failed to settle job ${requestId}:`, err));
+}
+
+module.exports = {
+  doWebsiteGeneration,
+  runGenerationJob
+};
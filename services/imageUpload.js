@@ -0,0 +1,137 @@
+// backend/services/imageUpload.js
+//
+// Validation for user-uploaded branding images (logo / hero background).
+
+const { sanitizeSvg } = require('./svgSanitizer');
+
+const UPLOAD_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml', 'image/webp'];
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES || String(2 * 1024 * 1024), 10);
+const UPLOAD_MIN_DIMENSION = parseInt(process.env.UPLOAD_MIN_DIMENSION || '64', 10);
+const UPLOAD_MAX_DIMENSION = parseInt(process.env.UPLOAD_MAX_DIMENSION || '4096', 10);
+
+/**
+ * Detect an image type from its leading bytes. Returns a MIME type or null.
+ */
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  const head = buffer.slice(0, 1024).toString('utf8').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) return 'image/svg+xml';
+  return null;
+}
+
+function pngSize(buf) {
+  // IHDR is always the first chunk
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+function jpegSize(buf) {
+  let offset = 2;
+  while (offset + 9 < buf.length) {
+    if (buf[offset] !== 0xff) return null;
+    const marker = buf[offset + 1];
+    const length = buf.readUInt16BE(offset + 2);
+    // SOF0..SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buf.readUInt16BE(offset + 5), width: buf.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function webpSize(buf) {
+  const chunk = buf.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buf.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+function svgSize(markup) {
+  const root = /<svg\b([^>]*)>/i.exec(markup);
+  if (!root) return null;
+  const attr = name => {
+    const m = new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i').exec(root[1]);
+    return m ? parseFloat(m[1]) : null;
+  };
+  let width = attr('width');
+  let height = attr('height');
+  if (width === null || height === null) {
+    const viewBox = /\sviewBox\s*=\s*["']\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(root[1]);
+    if (viewBox) {
+      width = parseFloat(viewBox[1]);
+      height = parseFloat(viewBox[2]);
+    }
+  }
+  return width && height ? { width: Math.round(width), height: Math.round(height) } : null;
+}
+
+/**
+ * Check an uploaded image against type, size and dimension limits.
+ * SVGs are sanitized; being vector images they skip the pixel limits.
+ * `maxBytes` overrides UPLOAD_MAX_BYTES (e.g. for generated images).
+ * Returns { success:true, buffer, contentType, width, height } or
+ * { success:false, error }.
+ */
+function validateUpload(buffer, declaredType, { maxBytes = UPLOAD_MAX_BYTES } = {}) {
+  if (!buffer || !buffer.length) {
+    return { success: false, error: "Empty upload." };
+  }
+  if (buffer.length > maxBytes) {
+    return { success: false, error: `Image must be at most ${maxBytes} bytes.` };
+  }
+  const contentType = sniffImageType(buffer);
+  if (!contentType || !UPLOAD_TYPES.includes(contentType)) {
+    return { success: false, error: "Only PNG, JPEG, SVG or WebP images are accepted." };
+  }
+  if (declaredType && declaredType !== contentType) {
+    return { success: false, error: `File content is ${contentType}, not ${declaredType}.` };
+  }
+
+  if (contentType === 'image/svg+xml') {
+    const clean = sanitizeSvg(buffer.toString('utf8'));
+    if (!clean) {
+      return { success: false, error: "SVG has no <svg> root element." };
+    }
+    const size = svgSize(clean) || { width: null, height: null };
+    return { success: true, buffer: Buffer.from(clean, 'utf8'), contentType, ...size };
+  }
+
+  let size = null;
+  try {
+    if (contentType === 'image/png') size = pngSize(buffer);
+    else if (contentType === 'image/jpeg') size = jpegSize(buffer);
+    else if (contentType === 'image/webp') size = webpSize(buffer);
+  } catch (err) {
+    size = null;
+  }
+  if (!size || !size.width || !size.height) {
+    return { success: false, error: "Could not read image dimensions." };
+  }
+  const { width, height } = size;
+  if (width < UPLOAD_MIN_DIMENSION || height < UPLOAD_MIN_DIMENSION) {
+    return { success: false, error: `Image must be at least ${UPLOAD_MIN_DIMENSION}x${UPLOAD_MIN_DIMENSION} pixels.` };
+  }
+  if (width > UPLOAD_MAX_DIMENSION || height > UPLOAD_MAX_DIMENSION) {
+    return { success: false, error: `Image must be at most ${UPLOAD_MAX_DIMENSION}x${UPLOAD_MAX_DIMENSION} pixels.` };
+  }
+  return { success: true, buffer, contentType, width, height };
+}
+
+module.exports = {
+  UPLOAD_TYPES,
+  UPLOAD_MAX_BYTES,
+  sniffImageType,
+  validateUpload
+};
@@ -0,0 +1,106 @@
+// backend/services/indexers/fileIndexer.js
+//
+// Fake indexer for local development and tests: answers every indexer
+// call from a JSON file, re-read on each call so it can be edited while
+// the server runs (e.g. to "send" a deposit or bump confirmations).
+//
+// {
+//   "kasTransactions": [
+//     { "txid": "...", "order": "1700000000000", "confirmations": 120,
+//       "inputs":  [{ "address": "kaspa:..." }],
+//       "outputs": [{ "address": "kaspa:...", "amountSompi": "100000000" }] }
+//       (coinbase transactions set "coinbase": true instead of "inputs";
+//       leaving "inputs" out otherwise means the source is unknown)
+//   ],
+//   "krc20Operations": [ { kasplex oplist entry, incl. "tick" } ],
+//   "krc20Balances": { "kaspa:...": { "KASPER": "80000000000" } }
+// }
+//
+// A transaction is accepted once "confirmations" > 0; lists are returned
+// newest (highest "order" / "opScore") first.
+
+const fs = require('fs/promises');
+
+function byNewest(key) {
+  return (a, b) => (BigInt(b[key] || 0) > BigInt(a[key] || 0) ? 1 : -1);
+}
+
+function page(list, cursor, limit) {
+  const offset = parseInt(cursor || '0', 10);
+  return {
+    items: list.slice(offset, offset + limit),
+    next: offset + limit < list.length ? String(offset + limit) : null
+  };
+}
+
+function normalizeTransaction(tx) {
+  const confirmations = tx.confirmations || 0;
+  return {
+    txid: tx.txid,
+    order: String(tx.order || 0),
+    accepted: confirmations > 0,
+    acceptingBlockHash: null,
+    inputs: tx.coinbase ? [] : (Array.isArray(tx.inputs) && tx.inputs.length ? tx.inputs : null),
+    outputs: tx.outputs || []
+  };
+}
+
+function createFileIndexer({ file, pageSize = 50 }) {
+  async function load() {
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    return {
+      kasTransactions: data.kasTransactions || [],
+      krc20Operations: data.krc20Operations || [],
+      krc20Balances: data.krc20Balances || {}
+    };
+  }
+
+  async function findTransaction(txid) {
+    const { kasTransactions } = await load();
+    return kasTransactions.find(tx => tx.txid === txid) || null;
+  }
+
+  return {
+    async listKasTransactions(address, cursor, { limit }) {
+      const { kasTransactions } = await load();
+      const touching = kasTransactions
+        .filter(tx => [...(tx.inputs || []), ...(tx.outputs || [])].some(io => io.address === address))
+        .sort(byNewest('order'))
+        .map(normalizeTransaction);
+      return page(touching, cursor, limit);
+    },
+
+    async getKasTransaction(txid) {
+      const tx = await findTransaction(txid);
+      return tx ? normalizeTransaction(tx) : null;
+    },
+
+    async getTransactionStatus(txid) {
+      const tx = await findTransaction(txid);
+      if (!tx) return { found: false, accepted: false, confirmations: 0 };
+      const confirmations = tx.confirmations || 0;
+      return { found: true, accepted: confirmations > 0, confirmations };
+    },
+
+    async listKrc20Operations(address, tick, cursor) {
+      const { krc20Operations } = await load();
+      const touching = krc20Operations
+        .filter(op => op.tick === tick && (op.from === address || op.to === address))
+        .sort(byNewest('opScore'));
+      return page(touching, cursor, pageSize);
+    },
+
+    async getKrc20Operation(hashRev) {
+      const { krc20Operations } = await load();
+      return krc20Operations.find(op => op.hashRev === hashRev) || null;
+    },
+
+    async getKrc20Balance(address, tick) {
+      const { krc20Balances } = await load();
+      const balances = krc20Balances[address] || {};
+      return BigInt(balances[tick] || '0');
+    }
+  };
+}
+
+module.exports = { createFileIndexer };
@@ -0,0 +1,75 @@
+// backend/services/indexers/index.js
+//
+// Selects where chain data comes from:
+//   CHAIN_INDEXER=public  (default) kaspa REST API (KASPA_API_URL, default
+//                         api.kaspa.org) + kasplex (KASPLEX_API_URL)
+//   CHAIN_INDEXER=node    KAS from the kaspa node over wRPC, KRC20 from kasplex;
+//                         KAS deposits stay pending (see kaspaNode.js)
+//   CHAIN_INDEXER=file    everything from the JSON file INDEXER_FILE, no network
+//
+// Every indexer exposes:
+//   listKasTransactions(address, cursor, { limit }) => { items, next }
+//   getKasTransaction(txid, { address })            => transaction | null
+//   getTransactionStatus(txid, { address, since })  => { found, accepted, confirmations }
+//   listKrc20Operations(address, tick, cursor)      => { items, next }
+//   getKrc20Operation(hashRev)                      => kasplex operation | null
+//   getKrc20Balance(address, tick)                  => BigInt, in base units
+//
+// KAS transactions are normalized to
+//   { txid, order, accepted, acceptingBlockHash,
+//     inputs: [{ address }] | null (source unknown),
+//     outputs: [{ address, amountSompi }] }
+// where `order` is a decimal string that grows with time (lists are newest
+// first). `next` is null on the last page; `address` is a hint for
+// backends that can only look transactions up by the address they pay,
+// and `since` a chain block hash from before the transaction was
+// broadcast, for backends that have to search the chain for it.
+// confirmations is the DAA score depth past the accepting block, 0 until
+// accepted.
+
+const { createKaspaRestIndexer } = require('./kaspaRest');
+const { createKaspaNodeIndexer } = require('./kaspaNode');
+const { createKasplexIndexer } = require('./kasplex');
+const { createFileIndexer } = require('./fileIndexer');
+
+function trimUrl(value) {
+  return value.replace(/\/+$/, '');
+}
+
+function createIndexer(kind) {
+  const kasplex = () => createKasplexIndexer({
+    baseUrl: trimUrl(process.env.KASPLEX_API_URL || 'https://api.kasplex.org/v1')
+  });
+
+  switch (kind) {
+    case 'public':
+      return {
+        name: 'public',
+        ...createKaspaRestIndexer({ baseUrl: trimUrl(process.env.KASPA_API_URL || 'https://api.kaspa.org') }),
+        ...kasplex()
+      };
+    case 'node':
+      return { name: 'node', ...createKaspaNodeIndexer(), ...kasplex() };
+    case 'file':
+      if (!process.env.INDEXER_FILE) {
+        throw new Error('INDEXER_FILE is required for CHAIN_INDEXER=file');
+      }
+      return { name: 'file', ...createFileIndexer({ file: process.env.INDEXER_FILE }) };
+    default:
+      throw new Error(`Unknown CHAIN_INDEXER "${kind}"`);
+  }
+}
+
+let indexer = null;
+
+/**
+ * The configured indexer (created on first use).
+ */
+function getIndexer() {
+  if (!indexer) {
+    indexer = createIndexer((process.env.CHAIN_INDEXER || 'public').toLowerCase());
+  }
+  return indexer;
+}
+
+module.exports = { getIndexer };
@@ -0,0 +1,83 @@
+// backend/services/indexers/kaspaNode.js
+//
+// KAS side of the indexer interface answered by a kaspa node over wRPC
+// (the shared RpcClient in wasm_rpc.js), for deployments that don't want
+// to depend on a third-party REST API. A node only knows the current UTXO
+// set, not address history, so:
+//   - listKasTransactions lists transactions with unspent outputs at the
+//     address, ordered by DAA score (outputs already swept are not seen);
+//   - inputs are reported as null (unknown): the node keeps no index to
+//     look previous outputs up by, so the deposit classifier leaves KAS
+//     deposits unresolved (pending) instead of crediting them, and past
+//     PENDING_DEPOSIT_TTL_HOURS they're flagged for reconciliation;
+//   - lookups need the `address` hint to find the transaction's outputs;
+//   - once those outputs are spent, a transaction's acceptance can only be
+//     found on the virtual chain, starting from the `since` hint.
+
+const {
+  getUtxoEntries,
+  getVirtualDaaScore,
+  findAcceptingBlock,
+  isInMempool
+} = require('../../wasm_rpc');
+
+/**
+ * Group an address's UTXO entries into normalized transactions, newest first.
+ */
+function transactionsFromEntries(address, entries) {
+  const byTxid = new Map();
+  for (const entry of entries) {
+    const txid = entry.outpoint.transactionId;
+    if (!byTxid.has(txid)) {
+      byTxid.set(txid, {
+        txid,
+        order: String(entry.blockDaaScore),
+        accepted: true,
+        acceptingBlockHash: null,
+        blockDaaScore: BigInt(entry.blockDaaScore),
+        inputs: entry.isCoinbase ? [] : null,
+        outputs: []
+      });
+    }
+    byTxid.get(txid).outputs.push({ address, amountSompi: entry.amount.toString() });
+  }
+  return [...byTxid.values()].sort((a, b) => (b.blockDaaScore > a.blockDaaScore ? 1 : -1));
+}
+
+function createKaspaNodeIndexer() {
+  async function findTransaction(txid, address) {
+    if (!address) return null;
+    const transactions = transactionsFromEntries(address, await getUtxoEntries([address]));
+    return transactions.find(tx => tx.txid === txid) || null;
+  }
+
+  return {
+    async listKasTransactions(address, cursor, { limit }) {
+      const offset = parseInt(cursor || '0', 10);
+      const transactions = transactionsFromEntries(address, await getUtxoEntries([address]));
+      const items = transactions.slice(offset, offset + limit);
+      return { items, next: offset + limit < transactions.length ? String(offset + limit) : null };
+    },
+
+    async getKasTransaction(txid, { address } = {}) {
+      return findTransaction(txid, address);
+    },
+
+    async getTransactionStatus(txid, { address, since } = {}) {
+      const tx = await findTransaction(txid, address);
+      if (tx) {
+        const depth = Number((await getVirtualDaaScore()) - tx.blockDaaScore);
+        return { found: true, accepted: true, confirmations: Math.max(1, depth) };
+      }
+      if (await isInMempool(txid)) return { found: true, accepted: false, confirmations: 0 };
+      const accepting = since ? await findAcceptingBlock(txid, since) : null;
+      if (accepting) {
+        const depth = Number((await getVirtualDaaScore()) - accepting.daaScore);
+        return { found: true, accepted: true, confirmations: Math.max(1, depth) };
+      }
+      return { found: false, accepted: false, confirmations: 0 };
+    }
+  };
+}
+
+module.exports = { createKaspaNodeIndexer };
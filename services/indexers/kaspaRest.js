@@ -0,0 +1,92 @@
+// backend/services/indexers/kaspaRest.js
+//
+// KAS side of the indexer interface backed by the public kaspa REST API
+// (api.kaspa.org or a self-hosted kaspa-rest-server). Transactions are
+// returned in the normalized shape described in ./index.js.
+
+const axios = require('axios');
+
+// Subnetwork of coinbase transactions, the only ones without inputs
+const COINBASE_SUBNETWORK_ID = '0100000000000000000000000000000000000000';
+
+// The virtual DAA score moves ~10/s; one lookup serves a burst of status checks
+const VIRTUAL_DAA_CACHE_MS = 5000;
+
+/**
+ * Inputs of an api.kaspa.org transaction, or null when the API left them
+ * out (only a coinbase transaction really has none).
+ */
+function normalizeInputs(tx) {
+  if (tx.subnetwork_id === COINBASE_SUBNETWORK_ID) return [];
+  if (!Array.isArray(tx.inputs) || tx.inputs.length === 0) return null;
+  return tx.inputs.map(input => ({ address: input.previous_outpoint_address || null }));
+}
+
+/**
+ * api.kaspa.org transaction => normalized transaction.
+ */
+function normalizeTransaction(tx) {
+  return {
+    txid: tx.hash,
+    order: String(tx.block_time || 0),
+    accepted: Boolean(tx.is_accepted),
+    acceptingBlockHash: tx.accepting_block_hash || null,
+    inputs: normalizeInputs(tx),
+    outputs: (tx.outputs || []).map(out => ({
+      address: out.script_public_key_address,
+      amountSompi: String(out.amount)
+    }))
+  };
+}
+
+function createKaspaRestIndexer({ baseUrl }) {
+  let virtualDaa = null;
+
+  async function get(path, { allowNotFound = false } = {}) {
+    const response = await axios.get(`${baseUrl}${path}`, {
+      validateStatus: status => status === 200 || (allowNotFound && status === 404)
+    });
+    return response.status === 404 ? null : response.data;
+  }
+
+  async function virtualDaaScore() {
+    if (!virtualDaa || Date.now() - virtualDaa.at > VIRTUAL_DAA_CACHE_MS) {
+      const info = await get('/info/blockdag');
+      virtualDaa = { score: BigInt(info.virtualDaaScore), at: Date.now() };
+    }
+    return virtualDaa.score;
+  }
+
+  return {
+    async listKasTransactions(address, cursor, { limit }) {
+      const offset = parseInt(cursor || '0', 10);
+      const data = await get(
+        `/addresses/${address}/full-transactions?limit=${limit}&offset=${offset}&resolve_previous_outpoints=light`
+      );
+      const items = Array.isArray(data) ? data.map(normalizeTransaction) : [];
+      return { items, next: items.length === limit ? String(offset + items.length) : null };
+    },
+
+    async getKasTransaction(txid) {
+      const tx = await get(
+        `/transactions/${txid}?inputs=true&outputs=true&resolve_previous_outpoints=light`,
+        { allowNotFound: true }
+      );
+      return tx ? normalizeTransaction(tx) : null;
+    },
+
+    async getTransactionStatus(txid) {
+      const tx = await get(
+        `/transactions/${txid}?inputs=false&outputs=false&resolve_previous_outpoints=no`,
+        { allowNotFound: true }
+      );
+      if (!tx) return { found: false, accepted: false, confirmations: 0 };
+      if (!tx.is_accepted || !tx.accepting_block_hash) return { found: true, accepted: false, confirmations: 0 };
+      const block = await get(`/blocks/${tx.accepting_block_hash}?includeColor=false`);
+      const depth = Number((await virtualDaaScore()) - BigInt(block.header.daaScore));
+      return { found: true, accepted: true, confirmations: Math.max(1, depth) };
+    }
+  };
+}
+
+module.exports = { createKaspaRestIndexer };
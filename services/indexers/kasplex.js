@@ -0,0 +1,40 @@
+// backend/services/indexers/kasplex.js
+//
+// KRC20 side of the indexer interface backed by the kasplex API. KRC20
+// state only exists in the kasplex indexer, so every KAS backend (REST or
+// node) is paired with this one. Operations keep the kasplex shape
+// (hashRev, op, tick, from, to, amt, opAccept, opError, opScore).
+
+const axios = require('axios');
+
+function createKasplexIndexer({ baseUrl }) {
+  async function get(path) {
+    const response = await axios.get(`${baseUrl}${path}`);
+    if (response.data.message !== "successful") {
+      throw new Error(`Unexpected kasplex response: ${JSON.stringify(response.data)}`);
+    }
+    return response.data;
+  }
+
+  return {
+    async listKrc20Operations(address, tick, cursor) {
+      const next = cursor ? `&next=${encodeURIComponent(cursor)}` : '';
+      const data = await get(`/krc20/oplist?address=${address}&tick=${tick}${next}`);
+      return { items: data.result || [], next: data.next || null };
+    },
+
+    async getKrc20Operation(hashRev) {
+      const data = await get(`/krc20/op/${hashRev}`);
+      const [op] = data.result || [];
+      return op || null;
+    },
+
+    async getKrc20Balance(address, tick) {
+      const data = await get(`/krc20/address/${address}/token/${tick}`);
+      const [token] = data.result || [];
+      return token ? BigInt(token.balance || '0') : 0n;
+    }
+  };
+}
+
+module.exports = { createKasplexIndexer };
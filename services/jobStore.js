@@ -0,0 +1,263 @@
+// backend/services/jobStore.js
+
+const os = require('os');
+const GenerationJob = require('../models/GenerationJob');
+
+// How long a job (and its generated code) stays readable after its last update
+const JOB_TTL_HOURS = parseFloat(process.env.JOB_TTL_HOURS || '72');
+
+// Identifies this process in job documents (Heroku sets DYNO, e.g. "web.2")
+const INSTANCE_ID = process.env.DYNO || `${os.hostname()}:${process.pid}`;
+
+// A claimed job must be heartbeated within this window or another worker may take it
+const JOB_LEASE_MS = parseInt(process.env.JOB_LEASE_MS || '60000', 10);
+
+// After this many claims a job whose lease keeps expiring is given up on
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '2', 10);
+
+// A job no worker has claimed within this window is failed (and refunded)
+const QUEUE_TIMEOUT_MS = parseInt(process.env.QUEUE_TIMEOUT_MS || String(15 * 60 * 1000), 10);
+
+function ttlFromNow() {
+  return new Date(Date.now() + JOB_TTL_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Enqueue the job record for a freshly started generation.
+ */
+async function createJob({ requestId, walletAddress, userInputs, creditCost, imagesHeld = 0, imageCost = 0 }) {
+  return GenerationJob.create({
+    requestId,
+    walletAddress,
+    userInputs,
+    creditCost,
+    imagesHeld,
+    imageCost,
+    status: 'queued',
+    progress: 0,
+    images: {},
+    instanceId: INSTANCE_ID,
+    expiresAt: ttlFromNow()
+  });
+}
+
+/**
+ * Load a job by requestId, whichever instance started it.
+ * Returns a plain object or null.
+ */
+async function getJob(requestId) {
+  if (!requestId || typeof requestId !== 'string') return null;
+  return GenerationJob.findOne({ requestId }).lean();
+}
+
+/**
+ * Filter matching a job only while the claim that returned `job` (see
+ * claimNextJob) still holds it. Once the lease is reaped or another worker
+ * re-claims the job, a stale worker's writes match nothing.
+ */
+function leaseFilter({ requestId, workerId, attempts }) {
+  return { requestId, workerId, attempts, status: 'in-progress' };
+}
+
+/**
+ * Update a job this worker is still running. Finished jobs, and jobs the
+ * worker lost its lease on, are left untouched.
+ */
+async function updateJob(job, fields) {
+  return GenerationJob.findOneAndUpdate(
+    leaseFilter(job),
+    { $set: { ...fields, expiresAt: ttlFromNow() } },
+    { new: true }
+  ).lean();
+}
+
+async function setProgress(job, progress) {
+  return updateJob(job, { progress });
+}
+
+/**
+ * Record the pipeline stage a running job reached, plus any extra
+ * fields (progress, tokenCount, partialCode) streamed to clients.
+ */
+async function reportStage(job, stage, fields = {}) {
+  return updateJob(job, { ...fields, stage });
+}
+
+/**
+ * Append a failed OpenAI attempt to a running job's history.
+ */
+async function recordModelAttempt(job, attempt) {
+  return GenerationJob.updateOne(
+    leaseFilter(job),
+    { $push: { modelAttempts: attempt } }
+  );
+}
+
+/**
+ * Mark a job as done and store the generated code.
+ */
+async function completeJob(job, code, images) {
+  const fields = {
+    status: 'done',
+    stage: 'saved',
+    progress: 100,
+    code,
+    partialCode: null,
+    completedAt: new Date()
+  };
+  if (images) fields.images = images;
+  return updateJob(job, fields);
+}
+
+/**
+ * Mark a job as failed with a short reason.
+ */
+async function failJob(job, message) {
+  return updateJob(job, {
+    status: 'error',
+    progress: 100,
+    error: message || 'Generation failed.',
+    completedAt: new Date()
+  });
+}
+
+/**
+ * Cancel a job that hasn't finished yet. Only the owning wallet can cancel,
+ * and because completeJob/failJob only touch running jobs, a job ends up
+ * either cancelled or finished, never both. Returns the cancelled job or null.
+ */
+async function cancelJob(requestId, walletAddress) {
+  return GenerationJob.findOneAndUpdate(
+    { requestId, walletAddress, status: { $in: ['queued', 'in-progress'] } },
+    {
+      $set: {
+        status: 'cancelled',
+        progress: 100,
+        error: 'Cancelled by user.',
+        partialCode: null,
+        completedAt: new Date(),
+        expiresAt: ttlFromNow()
+      }
+    },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Number of jobs waiting for a worker, used to push back on bursts.
+ */
+async function countQueuedJobs() {
+  return GenerationJob.countDocuments({ status: 'queued' });
+}
+
+/**
+ * Atomically claim the oldest queued job (or one whose lease expired)
+ * for the given worker. Returns the claimed job or null.
+ */
+async function claimNextJob(workerId) {
+  const now = new Date();
+  return GenerationJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'in-progress', leaseExpiresAt: { $lt: now }, attempts: { $lt: JOB_MAX_ATTEMPTS } }
+      ]
+    },
+    {
+      $set: {
+        status: 'in-progress',
+        workerId,
+        heartbeatAt: now,
+        leaseExpiresAt: new Date(now.getTime() + JOB_LEASE_MS),
+        startedAt: now,
+        progress: 0,
+        stage: 'started',
+        tokenCount: 0,
+        partialCode: null,
+        imageErrors: [],
+        imagesGenerated: 0,
+        expiresAt: ttlFromNow()
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  ).lean();
+}
+
+/**
+ * Extend the lease on a job this worker still owns.
+ * Returns null once the job is finished, reaped or taken over by another claim.
+ */
+async function heartbeatJob(job) {
+  const now = new Date();
+  return GenerationJob.findOneAndUpdate(
+    leaseFilter(job),
+    { $set: { heartbeatAt: now, leaseExpiresAt: new Date(now.getTime() + JOB_LEASE_MS) } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Fail jobs that will never finish: running jobs whose lease expired after
+ * their last allowed attempt, and queued jobs no worker picked up in time.
+ * Returns the failed jobs so the caller can settle their credit.
+ */
+async function reapAbandonedJobs() {
+  const reaped = [];
+  const rules = [
+    {
+      filter: {
+        status: 'in-progress',
+        leaseExpiresAt: { $lt: new Date() },
+        attempts: { $gte: JOB_MAX_ATTEMPTS }
+      },
+      error: 'Generation worker stopped responding.'
+    },
+    {
+      filter: {
+        status: 'queued',
+        createdAt: { $lt: new Date(Date.now() - QUEUE_TIMEOUT_MS) }
+      },
+      error: 'Generation timed out waiting for a worker.'
+    }
+  ];
+
+  for (const { filter, error } of rules) {
+    for (;;) {
+      const job = await GenerationJob.findOneAndUpdate(
+        filter,
+        {
+          $set: {
+            status: 'error',
+            progress: 100,
+            error,
+            completedAt: new Date(),
+            expiresAt: ttlFromNow()
+          }
+        },
+        { new: true }
+      ).lean();
+      if (!job) break;
+      reaped.push(job);
+    }
+  }
+  return reaped;
+}
+
+module.exports = {
+  INSTANCE_ID,
+  JOB_LEASE_MS,
+  createJob,
+  getJob,
+  updateJob,
+  setProgress,
+  reportStage,
+  recordModelAttempt,
+  completeJob,
+  failJob,
+  cancelJob,
+  countQueuedJobs,
+  claimNextJob,
+  heartbeatJob,
+  reapAbandonedJobs
+};
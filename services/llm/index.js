@@ -0,0 +1,81 @@
+// backend/services/llm/index.js
+//
+// Selects the text provider from config:
+//   LLM_PROVIDER=openai             (default) api.openai.com with OPENAI_API_KEY
+//   LLM_PROVIDER=openai-compatible  LLM_BASE_URL + LLM_API_KEY, any OpenAI-style endpoint
+//   LLM_PROVIDER=stub               canned offline HTML, no network
+//
+// Images come from IMAGE_PROVIDER (openai, stub or none); it defaults to
+// stub when LLM_PROVIDER=stub and to openai otherwise.
+//
+// Every provider exposes { name, models, imageModels, chat(request, opts),
+// streamChat(request, opts), generateImage(request, opts) }
+// where opts = { signal, onDelta, context }.
+
+const { createOpenAiProvider } = require('./openaiProvider');
+const { createStubProvider } = require('./stubProvider');
+
+function parseList(value, fallback) {
+  return (value || fallback || '')
+    .split(',')
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+function createProvider(kind) {
+  switch (kind) {
+    case 'openai':
+      return createOpenAiProvider({
+        name: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        basePath: 'https://api.openai.com/v1',
+        // Ordered: first preferred, the rest are fallbacks
+        models: parseList(process.env.OPENAI_MODELS, 'gpt-4o-mini,gpt-4o'),
+        imageModels: parseList(process.env.OPENAI_IMAGE_MODELS, 'dall-e-3')
+      });
+    case 'openai-compatible':
+      if (!process.env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required for LLM_PROVIDER=openai-compatible');
+      }
+      return createOpenAiProvider({
+        name: 'openai-compatible',
+        apiKey: process.env.LLM_API_KEY,
+        basePath: process.env.LLM_BASE_URL.replace(/\/+$/, ''),
+        models: parseList(process.env.LLM_MODELS, process.env.OPENAI_MODELS || 'gpt-4o-mini'),
+        imageModels: parseList(process.env.LLM_IMAGE_MODELS, '')
+      });
+    case 'stub':
+      return createStubProvider({
+        chunkDelayMs: parseInt(process.env.STUB_CHUNK_DELAY_MS || '50', 10)
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${kind}"`);
+  }
+}
+
+let provider = null;
+let imageProvider;
+
+/**
+ * The configured text provider (created on first use).
+ */
+function getTextProvider() {
+  if (!provider) {
+    provider = createProvider((process.env.LLM_PROVIDER || 'openai').toLowerCase());
+  }
+  return provider;
+}
+
+/**
+ * The configured image provider, or null when IMAGE_PROVIDER=none.
+ */
+function getImageProvider() {
+  if (imageProvider === undefined) {
+    const textKind = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+    const kind = (process.env.IMAGE_PROVIDER || (textKind === 'stub' ? 'stub' : 'openai')).toLowerCase();
+    imageProvider = kind === 'none' ? null : createProvider(kind);
+  }
+  return imageProvider;
+}
+
+module.exports = { getTextProvider, getImageProvider };
@@ -0,0 +1,83 @@
+// backend/services/llm/openaiProvider.js
+
+const { Configuration, OpenAIApi } = require('openai');
+
+/**
+ * Provider for OpenAI itself or any OpenAI-compatible endpoint
+ * (same /chat/completions wire format, different basePath and key).
+ */
+function createOpenAiProvider({ name, apiKey, basePath, models, imageModels = [] }) {
+  const textClient = new OpenAIApi(new Configuration({ apiKey, basePath }));
+  // DALL·E client, kept separate from the text client but on the same key
+  const imageClient = new OpenAIApi(new Configuration({ apiKey, basePath }));
+
+  /**
+   * Plain (non-streaming) completion. Resolves to the reply text.
+   */
+  async function chat(request, { signal } = {}) {
+    const response = await textClient.createChatCompletion(request, { signal });
+    return response.data.choices[0].message.content;
+  }
+
+  /**
+   * Completion with stream:true. onDelta(content, tokenCount) is called
+   * with the text received so far; aborting `signal` tears down the stream.
+   */
+  async function streamChat(request, { onDelta, signal } = {}) {
+    const response = await textClient.createChatCompletion(
+      { ...request, stream: true },
+      { responseType: 'stream', signal }
+    );
+
+    return new Promise((resolve, reject) => {
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          response.data.destroy(new Error('Generation aborted.'));
+        }, { once: true });
+      }
+
+      let content = '';
+      let tokenCount = 0;
+      let buffered = '';
+
+      response.data.on('data', chunk => {
+        buffered += chunk.toString('utf8');
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+          const payload = trimmed.slice(5).trim();
+          if (payload === '[DONE]') continue;
+          try {
+            const delta = JSON.parse(payload).choices[0].delta.content;
+            if (delta) {
+              content += delta;
+              tokenCount++;
+              if (onDelta) onDelta(content, tokenCount);
+            }
+          } catch (err) {
+            // keep-alive or malformed line, nothing to add
+          }
+        }
+      });
+      response.data.on('end', () => resolve(content));
+      response.data.on('error', reject);
+    });
+  }
+
+  /**
+   * Generate one image. Resolves to { url } (short-lived, hosted by OpenAI).
+   */
+  async function generateImage({ model, prompt, size = '1024x1024' }, { signal } = {}) {
+    const response = await imageClient.createImage(
+      { model, prompt, n: 1, size, response_format: 'url' },
+      { signal }
+    );
+    return { url: response.data.data[0].url };
+  }
+
+  return { name, models, imageModels, chat, streamChat, generateImage };
+}
+
+module.exports = { createOpenAiProvider };
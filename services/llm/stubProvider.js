@@ -0,0 +1,153 @@
+// backend/services/llm/stubProvider.js
+//
+// Deterministic offline provider: returns canned template HTML built from
+// the request context, so the whole generation flow can be exercised
+// without network access or API spend.
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function themeColors(themeSelection) {
+  return (themeSelection || '').toLowerCase() === 'light'
+    ? { bg: '#f4f6fb', fg: '#14161f', card: 'rgba(255,255,255,0.6)' }
+    : { bg: '#0d0f17', fg: '#f2f4ff', card: 'rgba(255,255,255,0.08)' };
+}
+
+function cards(count, label) {
+  let html = '';
+  for (let i = 1; i <= count; i++) {
+    html += `      <div class="card"><h3>${label} ${i}</h3><p>Placeholder content.</p></div>\n`;
+  }
+  return html;
+}
+
+// Section bodies, keyed by the section names the prompts use
+function sectionHtml(name, inputs) {
+  const coin = escapeHtml(inputs.coinName || 'Project');
+  const desc = escapeHtml(inputs.projectDesc || '');
+  const isNft = (inputs.projectType || '').toLowerCase() === 'nft';
+
+  switch (name) {
+    case 'nav':
+      return `<nav class="glass nav"><img src="NAV_IMAGE_PLACEHOLDER" alt="${coin} logo"/><div class="links"><span>Home</span><span>Roadmap</span><span>${isNft ? 'Collection' : 'Tokenomics'}</span></div></nav>`;
+    case 'hero':
+      return `<section class="hero" style="background-image:url('HERO_BG_PLACEHOLDER')"><h1>${coin}</h1><p>${desc}</p></section>`;
+    case 'roadmap':
+      return `<section><h2>Roadmap</h2><p class="sub">Where ${coin} is heading</p><div class="stack">\n${cards(5, 'Phase')}    </div></section>`;
+    case 'tokenomics':
+      return `<section><h2>${isNft ? 'Distribution' : 'Tokenomics'}</h2><p class="sub">How supply is allocated</p><div class="grid three">\n${cards(3, 'Allocation')}    </div></section>`;
+    case 'analytics':
+      return `<section><h2>Exchanges &amp; Analytics</h2><p class="sub">Track ${coin}</p><div class="grid three">\n${cards(6, 'Listing')}    </div></section>`;
+    case 'about':
+      return isNft
+        ? `<section><h2>Collection</h2><p class="sub">Featured pieces</p><div class="grid four">\n${cards(8, 'NFT')}    </div></section>`
+        : `<section><h2>About</h2><p class="sub">Why ${coin}</p><div class="grid two">\n${cards(2, 'About')}    </div></section>`;
+    case 'footer':
+      return `<footer class="glass footer"><img src="FOOTER_IMAGE_PLACEHOLDER" alt="${coin} logo"/><div class="links"><span>X</span><span>Telegram</span><span>Discord</span></div></footer>`;
+    default:
+      return `<section><h2>${escapeHtml(name)}</h2><p class="sub">${coin}</p></section>`;
+  }
+}
+
+const SITE_SECTIONS = ['nav', 'hero', 'roadmap', 'tokenomics', 'analytics', 'about', 'footer'];
+
+function renderDocument(sections, inputs) {
+  const colors = themeColors(inputs.themeSelection);
+  const body = sections
+    .map(name => `<!-- SECTION: ${name} -->\n${sectionHtml(name, inputs)}\n<!-- END: ${name.toUpperCase()} -->`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <style>
+body { margin: 0; font-family: sans-serif; background: ${colors.bg}; color: ${colors.fg}; }
+section { padding: 64px 24px; text-align: center; }
+.glass { background: ${colors.card}; backdrop-filter: blur(12px); }
+.nav, .footer { display: flex; justify-content: space-between; align-items: center; padding: 16px 24px; }
+.nav img, .footer img { width: 48px; height: 48px; }
+.links span { margin-left: 16px; }
+.hero { min-height: 60vh; background-size: cover; display: flex; flex-direction: column; justify-content: center; }
+.grid { display: grid; gap: 24px; }
+.grid.two { grid-template-columns: repeat(2, 1fr); }
+.grid.three { grid-template-columns: repeat(3, 1fr); }
+.grid.four { grid-template-columns: repeat(4, 1fr); }
+.stack { display: flex; flex-direction: column; gap: 16px; max-width: 640px; margin: 0 auto; }
+.card { background: ${colors.card}; border-radius: 16px; padding: 24px; }
+@media (max-width: 768px) { .grid.two, .grid.three, .grid.four { grid-template-columns: 1fr; } }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// Flat placeholder artwork: a gradient with the project's initials
+function stubImage(prompt, size, context = {}) {
+  const [width, height] = String(size || '1024x1024').split('x').map(n => parseInt(n, 10) || 1024);
+  const name = (context.userInputs && context.userInputs.coinName) || 'K';
+  const initials = escapeHtml(name.replace(/[^a-zA-Z0-9]/g, '').slice(0, 2).toUpperCase() || 'K');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + `<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="#6a5cff"/><stop offset="1" stop-color="#00d4c8"/></linearGradient></defs>`
+    + `<rect width="100%" height="100%" fill="url(#g)"/>`
+    + `<text x="50%" y="50%" font-family="sans-serif" font-size="${Math.floor(Math.min(width, height) / 3)}" fill="#fff" text-anchor="middle" dominant-baseline="central">${initials}</text>`
+    + `</svg>`;
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new Error('Generation aborted.'));
+    setTimeout(() => {
+      if (signal && signal.aborted) return reject(new Error('Generation aborted.'));
+      resolve();
+    }, ms);
+  });
+}
+
+/**
+ * context: { userInputs } for a full site, or { section, ...inputs }
+ * for a single /generate-section snippet.
+ */
+function replyFor(context = {}) {
+  if (context.section) {
+    return renderDocument([String(context.section).toLowerCase()], context);
+  }
+  return renderDocument(SITE_SECTIONS, context.userInputs || {});
+}
+
+function createStubProvider({ chunkSize = 200, chunkDelayMs = 0 } = {}) {
+  async function chat(request, { context } = {}) {
+    return replyFor(context);
+  }
+
+  // Emits the canned reply in fixed-size chunks like a real stream would
+  async function streamChat(request, { onDelta, signal, context } = {}) {
+    const reply = replyFor(context);
+    let content = '';
+    let tokenCount = 0;
+    for (let i = 0; i < reply.length; i += chunkSize) {
+      if (chunkDelayMs > 0) await wait(chunkDelayMs, signal);
+      else if (signal && signal.aborted) throw new Error('Generation aborted.');
+      content += reply.slice(i, i + chunkSize);
+      tokenCount++;
+      if (onDelta) onDelta(content, tokenCount);
+    }
+    return content;
+  }
+
+  async function generateImage({ prompt, size }, { context } = {}) {
+    return { url: stubImage(prompt, size, context) };
+  }
+
+  return { name: 'stub', models: ['stub'], imageModels: ['stub'], chat, streamChat, generateImage };
+}
+
+module.exports = { createStubProvider };
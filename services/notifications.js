@@ -0,0 +1,35 @@
+// backend/services/notifications.js
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+
+/**
+ * Queue a notification for `walletAddress`. Never throws: a lost
+ * notification must not undo the operation that triggered it.
+ */
+async function notify(walletAddress, type, data) {
+  try {
+    await Notification.create({ walletAddress, type, data });
+  } catch (err) {
+    console.error(`Failed to queue ${type} notification for ${walletAddress}:`, err.message);
+  }
+}
+
+/**
+ * Notifications for `walletAddress` newer than `afterId` (oldest first).
+ * Without a valid afterId, those created at or after `since`.
+ */
+async function listNotifications(walletAddress, { afterId = null, since = new Date(), limit = 50 } = {}) {
+  const filter = { walletAddress };
+  if (afterId && mongoose.isValidObjectId(afterId)) {
+    filter._id = { $gt: afterId };
+  } else {
+    filter.createdAt = { $gte: since };
+  }
+  return Notification.find(filter).sort({ _id: 1 }).limit(limit).lean();
+}
+
+module.exports = {
+  notify,
+  listNotifications
+};
@@ -0,0 +1,109 @@
+// backend/services/openaiRetry.js
+
+const MAX_RETRIES = parseInt(process.env.OPENAI_MAX_RETRIES || '3', 10);
+const RETRY_BASE_MS = parseInt(process.env.OPENAI_RETRY_BASE_MS || '1000', 10);
+const RETRY_MAX_MS = parseInt(process.env.OPENAI_RETRY_MAX_MS || '30000', 10);
+
+// Network errors worth another try on the same model
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+function statusOf(err) {
+  return err && err.response ? err.response.status : null;
+}
+
+/**
+ * 'retry'    => try the same model again after a backoff
+ * 'fallback' => this model won't work, move on to the next one
+ * 'fatal'    => give up (bad key, aborted, ...)
+ */
+function classify(err, signal) {
+  if (signal && signal.aborted) return 'fatal';
+  const status = statusOf(err);
+  if (status === 429 || status === 408 || (status && status >= 500)) return 'retry';
+  if (status === 404 || status === 400) return 'fallback';
+  if (status === 401 || status === 403) return 'fatal';
+  if (err && RETRYABLE_CODES.includes(err.code)) return 'retry';
+  return status ? 'fatal' : 'retry';
+}
+
+/**
+ * Milliseconds the server asked us to wait, from retry-after-ms or
+ * Retry-After (seconds or an HTTP date). null if not provided.
+ */
+function retryAfterMs(err) {
+  const headers = err && err.response && err.response.headers;
+  if (!headers) return null;
+  const ms = parseFloat(headers['retry-after-ms']);
+  if (!isNaN(ms)) return ms;
+  const value = headers['retry-after'];
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter, never shorter than Retry-After.
+ */
+function backoffDelay(attempt, err) {
+  const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+  const jittered = Math.floor(Math.random() * ceiling);
+  const requested = retryAfterMs(err);
+  return requested !== null ? Math.max(requested, jittered) : jittered;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new Error('Generation aborted.'));
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error('Generation aborted.'));
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Run call(model) against each model in order (the provider's ordered
+ * fallback list), retrying retryable failures with backoff. onAttempt
+ * receives a record of every failed try ({ model, attempt, status, error,
+ * delayMs, at }). Resolves to { result, model }; rejects with the last error.
+ */
+async function callWithRetry(call, { models, signal, onAttempt }) {
+  let lastErr;
+  for (const model of models) {
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+      try {
+        const result = await call(model);
+        return { result, model };
+      } catch (err) {
+        lastErr = err;
+        const action = classify(err, signal);
+        const willRetry = action === 'retry' && attempt < MAX_RETRIES;
+        const delayMs = willRetry ? backoffDelay(attempt, err) : 0;
+
+        if (onAttempt) {
+          await Promise.resolve(onAttempt({
+            model,
+            attempt: attempt + 1,
+            status: statusOf(err),
+            error: err.message,
+            delayMs,
+            at: new Date()
+          })).catch(() => {});
+        }
+
+        if (action === 'fatal') throw err;
+        if (!willRetry) break;
+        console.warn(`OpenAI ${model} failed (${statusOf(err) || err.code || err.message}), retrying in ${delayMs}ms`);
+        await sleep(delayMs, signal);
+      }
+    }
+  }
+  throw lastErr;
+}
+
+module.exports = { callWithRetry };
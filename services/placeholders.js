@@ -0,0 +1,27 @@
+// backend/services/placeholders.js
+
+// Image slots the prompts ask the model to leave in the generated HTML,
+// keyed by the field that holds the replacement URL in job.images
+const IMAGE_PLACEHOLDERS = {
+  navLogo:   /NAV_IMAGE_PLACEHOLDER/g,
+  heroBg:    /HERO_BG_PLACEHOLDER/g,
+  footerImg: /FOOTER_IMAGE_PLACEHOLDER/g
+};
+
+/**
+ * Replace every image placeholder we have a URL for.
+ */
+function fillImagePlaceholders(code, images = {}) {
+  let finalCode = code || '';
+  for (const [key, pattern] of Object.entries(IMAGE_PLACEHOLDERS)) {
+    if (images[key]) {
+      finalCode = finalCode.replace(pattern, images[key]);
+    }
+  }
+  return finalCode;
+}
+
+module.exports = {
+  IMAGE_PLACEHOLDERS,
+  fillImagePlaceholders
+};
@@ -0,0 +1,28 @@
+// backend/services/priceFeeds/coingecko.js
+//
+// USD prices from the CoinGecko simple price API. `ids` maps our coin
+// types to CoinGecko coin ids.
+
+const axios = require('axios');
+
+function createCoinGeckoFeed({ baseUrl, apiKey, ids }) {
+  return {
+    name: 'coingecko',
+    async getUsdPrices(coinTypes) {
+      const wanted = coinTypes.filter(coin => ids[coin]);
+      if (!wanted.length) return {};
+      const response = await axios.get(`${baseUrl}/simple/price`, {
+        params: { ids: wanted.map(coin => ids[coin]).join(','), vs_currencies: 'usd' },
+        headers: apiKey ? { 'x-cg-demo-api-key': apiKey } : {}
+      });
+      const prices = {};
+      for (const coin of wanted) {
+        const quote = response.data[ids[coin]];
+        if (quote && typeof quote.usd === 'number') prices[coin] = quote.usd;
+      }
+      return prices;
+    }
+  };
+}
+
+module.exports = { createCoinGeckoFeed };
@@ -0,0 +1,26 @@
+// backend/services/priceFeeds/fixtureFeed.js
+//
+// Offline price feed for local development and tests. Prices come from the
+// JSON file PRICE_FIXTURE_FILE ({ "KAS": 0.12, "KASPER": 0.00015 }),
+// re-read on each call so they can be changed while the server runs, or
+// from the built-in values below when no file is given.
+
+const fs = require('fs/promises');
+
+const DEFAULT_PRICES = { KAS: 0.1, KASPER: 0.000125 };
+
+function createFixtureFeed({ file } = {}) {
+  return {
+    name: 'fixture',
+    async getUsdPrices(coinTypes) {
+      const prices = file ? JSON.parse(await fs.readFile(file, 'utf8')) : DEFAULT_PRICES;
+      const result = {};
+      for (const coin of coinTypes) {
+        if (typeof prices[coin] === 'number') result[coin] = prices[coin];
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = { createFixtureFeed };
@@ -0,0 +1,50 @@
+// backend/services/priceFeeds/index.js
+//
+// Selects the USD price feed used when pricing is in 'usd' mode:
+//   PRICE_FEED=coingecko  (default) CoinGecko, ids from PRICE_FEED_IDS
+//                         (default "KAS:kaspa,KASPER:kasper")
+//   PRICE_FEED=fixture    fixed prices from PRICE_FIXTURE_FILE, no network
+//
+// Every feed exposes { name, getUsdPrices(coinTypes) => { [coinType]: usd } };
+// coins the feed can't price are left out.
+
+const { createCoinGeckoFeed } = require('./coingecko');
+const { createFixtureFeed } = require('./fixtureFeed');
+
+function parseIds(value) {
+  const ids = {};
+  for (const pair of value.split(',')) {
+    const [coin, id] = pair.split(':').map(v => v.trim());
+    if (coin && id) ids[coin] = id;
+  }
+  return ids;
+}
+
+function createFeed(kind) {
+  switch (kind) {
+    case 'coingecko':
+      return createCoinGeckoFeed({
+        baseUrl: (process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3').replace(/\/+$/, ''),
+        apiKey: process.env.COINGECKO_API_KEY || null,
+        ids: parseIds(process.env.PRICE_FEED_IDS || 'KAS:kaspa,KASPER:kasper')
+      });
+    case 'fixture':
+      return createFixtureFeed({ file: process.env.PRICE_FIXTURE_FILE || null });
+    default:
+      throw new Error(`Unknown PRICE_FEED "${kind}"`);
+  }
+}
+
+let feed = null;
+
+/**
+ * The configured price feed (created on first use).
+ */
+function getPriceFeed() {
+  if (!feed) {
+    feed = createFeed((process.env.PRICE_FEED || 'coingecko').toLowerCase());
+  }
+  return feed;
+}
+
+module.exports = { getPriceFeed };
@@ -0,0 +1,205 @@
+// backend/services/pricing.js
+//
+// Everything that turns coins into credits and credits into work:
+//   - deposit rates, either fixed credits per coin or USD-pegged (coin
+//     price from the price feed / usdPerCredit);
+//   - the credit cost of each operation (full site, section, image, export).
+//     A full-site generation releases its code as soon as it's done, so the
+//     export cost is held with it rather than charged by /export.
+// Admins edit both through PUT /admin/pricing; the stored PricingConfig is
+// merged over DEFAULT_PRICING, which matches the original hardcoded prices.
+
+const PricingConfig = require('../models/PricingConfig');
+const { getPriceFeed } = require('./priceFeeds');
+
+const CONFIG_ID = 'current';
+const COIN_TYPES = ['KAS', 'KASPER'];
+const OPERATIONS = ['site', 'section', 'image', 'export'];
+
+const DEFAULT_PRICING = {
+  mode: 'fixed',
+  rates: { KAS: 1, KASPER: 1 / 800 },   // 1 credit = 1 KAS = 800 KASPER
+  usdPerCredit: parseFloat(process.env.USD_PER_CREDIT || '0.1'),
+  costs: { site: 1, section: 0.25, image: 0, export: 0 }
+};
+
+// How long a web/worker process keeps using its copy of the config
+const PRICING_CACHE_MS = parseInt(process.env.PRICING_CACHE_MS || '30000', 10);
+// How often USD prices are re-fetched, and how stale they may get if the feed is down
+const PRICE_CACHE_MS = parseInt(process.env.PRICE_CACHE_MS || '60000', 10);
+const PRICE_MAX_AGE_MS = parseInt(process.env.PRICE_MAX_AGE_MS || String(10 * 60 * 1000), 10);
+
+let cachedPricing = null;
+let cachedQuote = null;
+
+function withoutUnset(values) {
+  const result = {};
+  for (const [key, value] of Object.entries(values || {})) {
+    if (typeof value === 'number') result[key] = value;
+  }
+  return result;
+}
+
+function merge(stored) {
+  const s = stored || {};
+  return {
+    mode: s.mode || DEFAULT_PRICING.mode,
+    rates: { ...DEFAULT_PRICING.rates, ...withoutUnset(s.rates) },
+    usdPerCredit: s.usdPerCredit || DEFAULT_PRICING.usdPerCredit,
+    costs: { ...DEFAULT_PRICING.costs, ...withoutUnset(s.costs) },
+    updatedBy: s.updatedBy || null,
+    updatedAt: s.updatedAt || null
+  };
+}
+
+/**
+ * The effective pricing config (cached for PRICING_CACHE_MS).
+ */
+async function getPricing() {
+  if (!cachedPricing || Date.now() - cachedPricing.at > PRICING_CACHE_MS) {
+    const stored = await PricingConfig.findById(CONFIG_ID).lean();
+    cachedPricing = { pricing: merge(stored), at: Date.now() };
+  }
+  return cachedPricing.pricing;
+}
+
+/**
+ * Apply an admin's partial update. Returns { success, pricing } or
+ * { success:false, error }.
+ */
+async function updatePricing(changes, { updatedBy = null } = {}) {
+  const $set = { updatedBy, updatedAt: new Date() };
+  const { mode, rates, usdPerCredit, costs } = changes || {};
+
+  if (mode !== undefined) {
+    if (!['fixed', 'usd'].includes(mode)) {
+      return { success: false, error: "mode must be 'fixed' or 'usd'." };
+    }
+    $set.mode = mode;
+  }
+  for (const [coin, rate] of Object.entries(rates || {})) {
+    if (!COIN_TYPES.includes(coin)) return { success: false, error: `Unknown coin type "${coin}".` };
+    if (typeof rate !== 'number' || !(rate > 0)) {
+      return { success: false, error: `rates.${coin} must be a positive number.` };
+    }
+    $set[`rates.${coin}`] = rate;
+  }
+  if (usdPerCredit !== undefined) {
+    if (typeof usdPerCredit !== 'number' || !(usdPerCredit > 0)) {
+      return { success: false, error: "usdPerCredit must be a positive number." };
+    }
+    $set.usdPerCredit = usdPerCredit;
+  }
+  for (const [operation, cost] of Object.entries(costs || {})) {
+    if (!OPERATIONS.includes(operation)) return { success: false, error: `Unknown operation "${operation}".` };
+    if (typeof cost !== 'number' || !(cost >= 0)) {
+      return { success: false, error: `costs.${operation} must be a number >= 0.` };
+    }
+    $set[`costs.${operation}`] = cost;
+  }
+
+  const stored = await PricingConfig.findByIdAndUpdate(CONFIG_ID, { $set }, { new: true, upsert: true }).lean();
+  cachedPricing = { pricing: merge(stored), at: Date.now() };
+  console.log(`Pricing updated by ${updatedBy || 'unknown'}: ${JSON.stringify(changes)}`);
+  return { success: true, pricing: cachedPricing.pricing };
+}
+
+/**
+ * USD prices for every coin type. A failed refresh falls back to the last
+ * quote while it's younger than PRICE_MAX_AGE_MS.
+ */
+async function usdQuote() {
+  if (cachedQuote && Date.now() - cachedQuote.quotedAt.getTime() < PRICE_CACHE_MS) {
+    return cachedQuote;
+  }
+  const feed = getPriceFeed();
+  try {
+    const prices = await feed.getUsdPrices(COIN_TYPES);
+    cachedQuote = { prices, feed: feed.name, quotedAt: new Date() };
+  } catch (err) {
+    if (!cachedQuote || Date.now() - cachedQuote.quotedAt.getTime() > PRICE_MAX_AGE_MS) {
+      throw new Error(`Price feed ${feed.name} unavailable: ${err.message}`);
+    }
+    console.warn(`Price feed ${feed.name} failed, using the quote from ${cachedQuote.quotedAt.toISOString()}:`, err.message);
+  }
+  return cachedQuote;
+}
+
+/**
+ * Credits per 1 unit of `coinType` right now, as a snapshot that can be
+ * stored alongside whatever it priced:
+ *   { coinType, creditsPerUnit, mode, priceUsd, usdPerCredit, feed, quotedAt }
+ * Throws in 'usd' mode when no usable price is available.
+ */
+async function creditRate(coinType) {
+  const pricing = await getPricing();
+  if (pricing.mode === 'fixed') {
+    return {
+      coinType,
+      creditsPerUnit: pricing.rates[coinType],
+      mode: 'fixed',
+      priceUsd: null,
+      usdPerCredit: null,
+      feed: null,
+      quotedAt: null
+    };
+  }
+  const quote = await usdQuote();
+  const priceUsd = quote.prices[coinType];
+  if (typeof priceUsd !== 'number' || !(priceUsd > 0)) {
+    throw new Error(`No USD price for ${coinType} from ${quote.feed}`);
+  }
+  return {
+    coinType,
+    creditsPerUnit: priceUsd / pricing.usdPerCredit,
+    mode: 'usd',
+    priceUsd,
+    usdPerCredit: pricing.usdPerCredit,
+    feed: quote.feed,
+    quotedAt: quote.quotedAt
+  };
+}
+
+/**
+ * creditRate() for every coin type, keyed by coin type.
+ */
+async function creditRates() {
+  const rates = {};
+  for (const coin of COIN_TYPES) {
+    rates[coin] = await creditRate(coin);
+  }
+  return rates;
+}
+
+/**
+ * Credits charged for one `operation` (see OPERATIONS).
+ */
+async function operationCost(operation) {
+  const { costs } = await getPricing();
+  if (!(operation in costs)) throw new Error(`Unknown operation "${operation}"`);
+  return costs[operation];
+}
+
+/**
+ * Credits held for a full-site generation that will create `images` AI
+ * images: { cost, imageCost }, where imageCost is the share of each image
+ * (refunded at settlement for images that weren't generated).
+ */
+async function generationCost({ images = 0 } = {}) {
+  const { costs } = await getPricing();
+  return {
+    cost: costs.site + costs.export + costs.image * images,
+    imageCost: costs.image
+  };
+}
+
+module.exports = {
+  COIN_TYPES,
+  OPERATIONS,
+  getPricing,
+  updatePricing,
+  creditRate,
+  creditRates,
+  operationCost,
+  generationCost
+};
@@ -0,0 +1,202 @@
+// backend/services/sessionTokens.js
+//
+// Access tokens: "<base64url payload>.<base64url HMAC-SHA256>", signed with
+// SESSION_SECRET and valid for ACCESS_TOKEN_TTL_SECONDS.
+// Refresh tokens: "<sessionId>.<random>", stored hashed on the Session and
+// rotated on every refresh; presenting a superseded one revokes the session.
+// Stream tickets: like access tokens, but signed under their own prefix,
+// bound to one Server-Sent Events stream and valid for
+// STREAM_TICKET_TTL_SECONDS; EventSource can't send an Authorization
+// header, and full access tokens don't belong in URLs.
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10);
+const REFRESH_TOKEN_TTL_DAYS = parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+const STREAM_TICKET_TTL_SECONDS = parseInt(process.env.STREAM_TICKET_TTL_SECONDS || '60', 10);
+const STREAM_TICKET_PREFIX = 'stream-ticket.';
+
+function sessionSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret || secret.length < 32) {
+    throw new Error('SESSION_SECRET must be set to at least 32 characters.');
+  }
+  return secret;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', sessionSecret()).update(data).digest('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function createAccessToken(session) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub: session.walletAddress,
+    uid: String(session.userId),
+    sid: session.sessionId,
+    amr: session.authMethod,
+    auth_time: Math.floor(new Date(session.authenticatedAt).getTime() / 1000),
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL_SECONDS
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { token: `${encoded}.${sign(encoded)}`, expiresAt: new Date(payload.exp * 1000) };
+}
+
+function tokenResponse(session, refreshToken) {
+  const access = createAccessToken(session);
+  return {
+    accessToken: access.token,
+    accessTokenExpiresAt: access.expiresAt,
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Start a session for a user who just proved who they are.
+ * authMethod: 'password' | 'signature'.
+ */
+async function createSession(user, authMethod) {
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  const refreshToken = `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  const session = await Session.create({
+    sessionId,
+    userId: user._id,
+    walletAddress: user.walletAddress,
+    authMethod,
+    authenticatedAt: new Date(),
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry()
+  });
+  return tokenResponse(session, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair.
+ * Returns the token response or null if the refresh token is not valid.
+ */
+async function refreshSession(refreshToken) {
+  const sessionId = String(refreshToken || '').split('.')[0];
+  if (!sessionId) return null;
+
+  const nextRefreshToken = `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  const session = await Session.findOneAndUpdate(
+    {
+      sessionId,
+      refreshTokenHash: hashToken(refreshToken),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry()
+      }
+    },
+    { new: true }
+  ).lean();
+
+  if (!session) {
+    // A well-formed but stale token for a live session means it leaked: end the session
+    await Session.updateOne(
+      { sessionId, revokedAt: null, refreshTokenHash: { $ne: hashToken(refreshToken) } },
+      { $set: { revokedAt: new Date() } }
+    );
+    return null;
+  }
+  return tokenResponse(session, nextRefreshToken);
+}
+
+async function revokeSession(sessionId) {
+  await Session.updateOne({ sessionId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+}
+
+/**
+ * Ticket for opening the stream named by `audience` (e.g.
+ * 'progress:<requestId>') as the session in `auth` (req.auth).
+ */
+function createStreamTicket(auth, audience) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub: auth.walletAddress,
+    uid: auth.userId,
+    sid: auth.sessionId,
+    amr: auth.authMethod,
+    auth_time: Math.floor(auth.authenticatedAt.getTime() / 1000),
+    aud: audience,
+    iat: now,
+    exp: now + STREAM_TICKET_TTL_SECONDS
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return {
+    ticket: `${encoded}.${sign(STREAM_TICKET_PREFIX + encoded)}`,
+    expiresAt: new Date(payload.exp * 1000)
+  };
+}
+
+/**
+ * Check a signed "<payload>.<signature>" token and its expiry; `prefix`
+ * keeps each kind of token from passing as another. Returns the payload
+ * or null.
+ */
+function verifySigned(token, prefix) {
+  const [encoded, signature] = String(token || '').split('.');
+  if (!encoded || !signature) return null;
+  const expected = sign(prefix + encoded);
+  if (signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+  return payload;
+}
+
+/**
+ * Check an access token's signature and expiry. Returns the payload or null.
+ */
+function verifyAccessToken(token) {
+  return verifySigned(token, '');
+}
+
+/**
+ * Check a stream ticket's signature, expiry and audience. Returns the
+ * payload or null.
+ */
+function verifyStreamTicket(ticket, audience) {
+  const payload = verifySigned(ticket, STREAM_TICKET_PREFIX);
+  return payload && payload.aud === audience ? payload : null;
+}
+
+/**
+ * True while the session behind an access token hasn't been revoked.
+ */
+async function isSessionActive(sessionId) {
+  return Boolean(await Session.exists({ sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  verifyAccessToken,
+  createStreamTicket,
+  verifyStreamTicket,
+  isSessionActive
+};
@@ -0,0 +1,56 @@
+// backend/services/sse.js
+
+// Comment line sent periodically so proxies (e.g. Heroku's 55s idle
+// timeout) don't close a quiet stream
+const KEEPALIVE_MS = 15000;
+
+/**
+ * Turn an Express response into a Server-Sent Events stream.
+ * Returns { send(event, data, id), close(), closed } ; onClose runs once
+ * when either side ends the stream. Events sent with an id let a
+ * reconnecting EventSource resume via the Last-Event-ID header.
+ */
+function openEventStream(req, res, onClose) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  req.setTimeout(0);
+  res.setTimeout(0);
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const stream = {
+    closed: false,
+    send(event, data, id) {
+      if (stream.closed) return;
+      if (id !== undefined) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (stream.closed) return;
+      finish();
+      res.end();
+    }
+  };
+
+  const keepalive = setInterval(() => {
+    if (!stream.closed) res.write(': keepalive\n\n');
+  }, KEEPALIVE_MS);
+
+  function finish() {
+    stream.closed = true;
+    clearInterval(keepalive);
+    if (onClose) onClose();
+  }
+
+  req.on('close', () => {
+    if (!stream.closed) finish();
+  });
+
+  return stream;
+}
+
+module.exports = { openEventStream };
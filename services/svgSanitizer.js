@@ -0,0 +1,121 @@
+// backend/services/svgSanitizer.js
+//
+// Allowlist sanitizer for uploaded SVG logos. Unknown elements are dropped,
+// script-capable content is removed, and links may only point inside the
+// document or at embedded raster images.
+
+// Lower-cased name => the case-sensitive SVG element name we emit
+const ALLOWED_ELEMENTS = new Map([
+  'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'style',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'textPath', 'image',
+  'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask', 'marker',
+  'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite',
+  'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR',
+  'feGaussianBlur', 'feMerge', 'feMergeNode', 'feOffset', 'feTurbulence'
+].map(name => [name.toLowerCase(), name]));
+
+// Dropped together with everything inside them
+const DROP_WITH_CONTENT = new Set(['script', 'foreignobject', 'iframe', 'object', 'embed', 'metadata', 'animate', 'set', 'animatemotion', 'animatetransform', 'handler', 'listener']);
+
+const LINK_ATTRIBUTES = new Set(['href', 'xlink:href', 'src']);
+const SAFE_DATA_URI = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+const DANGEROUS_VALUE = /(javascript|vbscript)\s*:|data\s*:(?!image\/(png|jpe?g|gif|webp);)/i;
+
+function sanitizeCss(css) {
+  return css
+    .replace(/@import[^;]*;?/gi, '')
+    .replace(/expression\s*\(/gi, '')
+    // only same-document references such as url(#gradient) survive
+    .replace(/url\(\s*(['"]?)(?!#)[^)]*\1\s*\)/gi, 'none');
+}
+
+function sanitizeAttributes(raw) {
+  const kept = [];
+  const attrPattern = /([^\s=>/]+)(?:\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = attrPattern.exec(raw))) {
+    const name = match[1];
+    const lower = name.toLowerCase();
+    const value = match[3] !== undefined ? match[3] : match[4] !== undefined ? match[4] : (match[5] || '');
+
+    if (lower.startsWith('on')) continue;
+    if (LINK_ATTRIBUTES.has(lower)) {
+      const trimmed = value.trim();
+      if (!trimmed.startsWith('#') && !SAFE_DATA_URI.test(trimmed)) continue;
+    } else if (DANGEROUS_VALUE.test(value)) {
+      continue;
+    }
+
+    const clean = lower === 'style' ? sanitizeCss(value) : value;
+    kept.push(`${name}="${clean.replace(/"/g, '&quot;').replace(/</g, '&lt;')}"`);
+  }
+  return kept.length ? ' ' + kept.join(' ') : '';
+}
+
+/**
+ * Returns sanitized SVG markup, or null if the input has no <svg> root.
+ */
+function sanitizeSvg(input) {
+  const source = String(input);
+  const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^[>]*(?:\[[\s\S]*?\])?\s*>|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([a-zA-Z][\w:.-]*)([^>]*?)(\/?)>|[^<]+|</g;
+  const out = [];
+  const open = [];      // stack of element names we emitted
+  let dropDepth = 0;    // > 0 while inside a dropped element
+  let inStyle = false;
+  let sawSvg = false;
+  let match;
+
+  while ((match = token.exec(source))) {
+    const [text, cdata, closing, tagName, attrs, selfClosing] = match;
+
+    if (!tagName) {
+      if (dropDepth > 0) continue;
+      if (text.startsWith('<!') || text.startsWith('<?')) {
+        // comments, DOCTYPE/ENTITY declarations and processing instructions
+        if (cdata !== undefined && inStyle) out.push(sanitizeCss(cdata));
+        continue;
+      }
+      if (text === '<') continue;
+      out.push(inStyle ? sanitizeCss(text) : text);
+      continue;
+    }
+
+    const name = tagName.toLowerCase().replace(/^svg:/, '');
+    if (closing) {
+      if (dropDepth > 0) {
+        if (DROP_WITH_CONTENT.has(name)) dropDepth--;
+        continue;
+      }
+      const idx = open.lastIndexOf(name);
+      if (idx === -1) continue;
+      while (open.length > idx) {
+        const closed = open.pop();
+        if (closed === 'style') inStyle = false;
+        out.push(`</${ALLOWED_ELEMENTS.get(closed)}>`);
+      }
+      continue;
+    }
+
+    if (dropDepth > 0 || DROP_WITH_CONTENT.has(name)) {
+      if (!selfClosing && DROP_WITH_CONTENT.has(name)) dropDepth++;
+      continue;
+    }
+    if (!ALLOWED_ELEMENTS.has(name)) continue;
+    if (name === 'svg') sawSvg = true;
+
+    const element = ALLOWED_ELEMENTS.get(name);
+    if (selfClosing) {
+      out.push(`<${element}${sanitizeAttributes(attrs)}/>`);
+    } else {
+      out.push(`<${element}${sanitizeAttributes(attrs)}>`);
+      open.push(name);
+      if (name === 'style') inStyle = true;
+    }
+  }
+  while (open.length) out.push(`</${ALLOWED_ELEMENTS.get(open.pop())}>`);
+
+  return sawSvg ? out.join('') : null;
+}
+
+module.exports = { sanitizeSvg };
@@ -0,0 +1,256 @@
+// backend/services/sweeper.js
+//
+// Consolidates credited KAS deposits from the custodial deposit addresses
+// into TREASURY_ADDRESS. Only UTXOs created by a transaction credited to
+// their owner as a KAS deposit (models/Deposit) are touched, so coins
+// that haven't been converted into credits (or change from a withdrawal)
+// stay where they are. Withdrawals and KRC20 fees are still paid from the
+// deposit address, so each address also keeps enough KAS to cover its
+// owner's outstanding credits (see addressReserves). Every run is written
+// to the Sweep log.
+
+const Deposit = require('../models/Deposit');
+const Sweep = require('../models/Sweep');
+const GenerationJob = require('../models/GenerationJob');
+const User = require('../models/User');
+const Withdrawal = require('../models/Withdrawal');
+const pricing = require('./pricing');
+const { depositSigningKey } = require('./depositAddresses');
+const { isValidAddress, kaspaToSompi, getUtxoEntries, sweepEntries } = require('../wasm_rpc');
+
+const TREASURY_ADDRESS = process.env.TREASURY_ADDRESS || null;
+// Deposit addresses swept together in one Generator run
+const SWEEP_BATCH_SIZE = parseInt(process.env.SWEEP_BATCH_SIZE || '50', 10);
+// Batches worth less than this aren't worth the fees; they wait for the next run
+const SWEEP_MIN_SOMPI = kaspaToSompi(process.env.SWEEP_MIN_KAS || '1');
+// Left on every address on top of its credits, e.g. for the KAS a KRC20 commit locks
+const SWEEP_RESERVE_SOMPI = kaspaToSompi(process.env.SWEEP_RESERVE_KAS || '1');
+// Extra share of the credits kept back in case the KAS rate moves before they're withdrawn
+const SWEEP_RESERVE_MARGIN = parseFloat(process.env.SWEEP_RESERVE_MARGIN || '0.1');
+// A 'running' sweep older than this is assumed dead and no longer blocks new runs
+const SWEEP_STALE_MS = parseInt(process.env.SWEEP_STALE_MS || String(60 * 60 * 1000), 10);
+
+function outpointKey(transactionId, index) {
+  return `${transactionId}:${index}`;
+}
+
+/**
+ * Take the single-runner lock by creating the 'running' Sweep entry.
+ * Returns null if another run holds it.
+ */
+async function startSweep(dryRun) {
+  await Sweep.updateMany(
+    { status: 'running', startedAt: { $lt: new Date(Date.now() - SWEEP_STALE_MS) } },
+    { $set: { status: 'failed', error: 'Sweeper stopped before finishing.', finishedAt: new Date() } }
+  );
+  try {
+    return await Sweep.create({ treasuryAddress: TREASURY_ADDRESS, dryRun });
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+}
+
+/**
+ * Outpoints spent by an earlier sweep's submitted transactions. They can
+ * still be listed as unspent until those transactions are accepted.
+ */
+async function previouslySwept(transactionIds) {
+  const sweeps = await Sweep.find({
+    dryRun: false,
+    'inputs.transactionId': { $in: transactionIds }
+  }).select('inputs').lean();
+  const swept = new Set();
+  for (const sweep of sweeps) {
+    for (const input of sweep.inputs) {
+      swept.add(outpointKey(input.transactionId, input.index));
+    }
+  }
+  return swept;
+}
+
+/**
+ * Sompi each of `walletAddresses` must keep: its owner's credits, plus
+ * credits held by unsettled generation jobs (refunds), converted at the
+ * current KAS rate with SWEEP_RESERVE_MARGIN on top, plus SWEEP_RESERVE_SOMPI.
+ */
+async function addressReserves(walletAddresses, kasRate) {
+  const credits = new Map(walletAddresses.map(address => [address, 0]));
+  const users = await User.find({ walletAddress: { $in: walletAddresses } })
+    .select('walletAddress credits')
+    .lean();
+  for (const user of users) credits.set(user.walletAddress, user.credits || 0);
+  const held = await GenerationJob.aggregate([
+    { $match: { walletAddress: { $in: walletAddresses }, settlement: 'pending' } },
+    { $group: { _id: '$walletAddress', credits: { $sum: '$creditCost' } } }
+  ]);
+  for (const row of held) credits.set(row._id, credits.get(row._id) + row.credits);
+
+  const reserves = new Map();
+  for (const [address, amount] of credits) {
+    const kas = Math.max(0, amount) / kasRate.creditsPerUnit * (1 + SWEEP_RESERVE_MARGIN);
+    reserves.set(address, BigInt(Math.ceil(kas * 1e8)) + SWEEP_RESERVE_SOMPI);
+  }
+  return reserves;
+}
+
+/**
+ * Credited, not-yet-swept UTXOs held by `addresses`, each given as
+ * { _id: walletAddress, txids: credited KAS deposit txids }. Smallest
+ * first, and only while the address keeps reserves.get(walletAddress)
+ * sompi in the UTXOs left behind.
+ */
+async function sweepableEntries(addresses, reserves) {
+  const credited = new Map();
+  for (const { _id: walletAddress, txids } of addresses) {
+    credited.set(walletAddress, new Set(txids));
+  }
+  const entries = await getUtxoEntries([...credited.keys()]);
+  if (!entries.length) return [];
+  const swept = await previouslySwept([...new Set(entries.map(e => e.outpoint.transactionId))]);
+  const unspent = entries.filter(e => e.address && !swept.has(outpointKey(e.outpoint.transactionId, e.outpoint.index)));
+
+  const balances = new Map();
+  for (const entry of unspent) {
+    const address = entry.address.toString();
+    balances.set(address, (balances.get(address) || 0n) + entry.amount);
+  }
+  const candidates = unspent
+    .filter(entry => credited.get(entry.address.toString()).has(entry.outpoint.transactionId))
+    .sort((a, b) => (a.amount < b.amount ? -1 : a.amount > b.amount ? 1 : 0));
+
+  const selected = [];
+  for (const entry of candidates) {
+    const address = entry.address.toString();
+    const left = balances.get(address) - entry.amount;
+    if (left < reserves.get(address)) continue;
+    balances.set(address, left);
+    selected.push(entry);
+  }
+  return selected;
+}
+
+function sweptInput(entry, spentBy) {
+  return {
+    walletAddress: entry.address.toString(),
+    transactionId: entry.outpoint.transactionId,
+    index: entry.outpoint.index,
+    amountSompi: entry.amount.toString(),
+    spentBy
+  };
+}
+
+async function sweepBatch(sweep, addresses, dryRun, kasRate) {
+  const reserves = await addressReserves(addresses.map(a => a._id), kasRate);
+  const entries = await sweepableEntries(addresses, reserves);
+  const total = entries.reduce((sum, e) => sum + e.amount, 0n);
+  if (!entries.length || total < SWEEP_MIN_SOMPI) return;
+
+  if (dryRun) {
+    await Sweep.updateOne({ _id: sweep._id }, { $push: { inputs: { $each: entries.map(e => sweptInput(e, null)) } } });
+    const result = await sweepEntries({ entries, privateKeys: [], toAddress: TREASURY_ADDRESS, dryRun });
+    return { total, ...result };
+  }
+
+  // Log each transaction's deposit inputs as soon as it's submitted, so an
+  // interrupted run neither re-sweeps them nor hides the ones it never spent
+  const deposits = new Map(entries.map(e => [outpointKey(e.outpoint.transactionId, e.outpoint.index), e]));
+  const onSubmitted = async (txid, spent) => {
+    const inputs = spent
+      .map(e => deposits.get(outpointKey(e.outpoint.transactionId, e.outpoint.index)))
+      .filter(Boolean)
+      .map(e => sweptInput(e, txid));
+    if (inputs.length) {
+      await Sweep.updateOne({ _id: sweep._id }, { $push: { inputs: { $each: inputs } } });
+    }
+  };
+  const walletAddresses = [...new Set(entries.map(e => e.address.toString()))];
+  const privateKeys = await Promise.all(walletAddresses.map(depositSigningKey));
+  const result = await sweepEntries({ entries, privateKeys, toAddress: TREASURY_ADDRESS, onSubmitted });
+  return { total, ...result };
+}
+
+/**
+ * One sweeper run. Returns the finished Sweep entry, or null when the
+ * sweeper isn't configured or another run is in progress.
+ */
+async function sweepCreditedDeposits({ dryRun = false } = {}) {
+  if (!TREASURY_ADDRESS) return null;
+  if (!isValidAddress(TREASURY_ADDRESS)) {
+    throw new Error(`TREASURY_ADDRESS is not a valid kaspa: address: ${TREASURY_ADDRESS}`);
+  }
+  const sweep = await startSweep(dryRun);
+  if (!sweep) {
+    console.log("Sweep already running, skipping.");
+    return null;
+  }
+
+  let totalSompi = 0n;
+  let feeSompi = 0n;
+  const txids = [];
+  try {
+    const kasRate = await pricing.creditRate('KAS');
+    // Leave addresses alone while a withdrawal from them is being built
+    const busy = await Withdrawal.distinct('walletAddress', { status: { $in: ['pending', 'committed'] } });
+    const cursor = Deposit.aggregate([
+      {
+        $match: {
+          coinType: 'KAS',
+          creditedAt: { $ne: null },
+          walletAddress: { $nin: [...busy, TREASURY_ADDRESS] }
+        }
+      },
+      { $group: { _id: '$walletAddress', txids: { $addToSet: '$txid' } } }
+    ]).allowDiskUse(true).cursor();
+
+    let batch = [];
+    const flush = async () => {
+      const addresses = batch;
+      batch = [];
+      try {
+        const swept = await sweepBatch(sweep, addresses, dryRun, kasRate);
+        if (!swept) return;
+        totalSompi += swept.total;
+        feeSompi += swept.fees;
+        txids.push(...swept.txids);
+      } catch (err) {
+        txids.push(...(err.txids || []));
+        throw err;
+      }
+    };
+    for await (const address of cursor) {
+      batch.push(address);
+      if (batch.length >= SWEEP_BATCH_SIZE) await flush();
+    }
+    if (batch.length) await flush();
+
+    const done = await Sweep.findByIdAndUpdate(sweep._id, {
+      $set: {
+        status: 'done',
+        totalSompi: totalSompi.toString(),
+        feeSompi: feeSompi.toString(),
+        txids,
+        finishedAt: new Date()
+      }
+    }, { new: true }).lean();
+    console.log(`Sweep ${sweep._id}${dryRun ? ' (dry run)' : ''}: ${totalSompi} sompi to ${TREASURY_ADDRESS} in ${txids.length} transaction(s)`);
+    return done;
+  } catch (err) {
+    await Sweep.updateOne({ _id: sweep._id }, {
+      $set: {
+        status: 'failed',
+        error: String(err.message || err),
+        totalSompi: totalSompi.toString(),
+        feeSompi: feeSompi.toString(),
+        txids,
+        finishedAt: new Date()
+      }
+    });
+    throw err;
+  }
+}
+
+module.exports = {
+  TREASURY_ADDRESS,
+  sweepCreditedDeposits
+};
@@ -0,0 +1,129 @@
+// backend/services/walletAuth.js
+//
+// Challenge/response login: the client signs a server-issued nonce with
+// its Kaspa key (KasWare or the SDK's signMessage) and we check it with
+// verifyMessage against the user's linked login address. The custodial
+// deposit address can't be used: only the server holds its key. A
+// signed-in user links an address they hold by signing a 'link'
+// challenge first (linkLoginAddress).
+
+const crypto = require('crypto');
+const AuthChallenge = require('../models/AuthChallenge');
+const User = require('../models/User');
+const { verifyWalletSignature, isValidAddress } = require('../wasm_rpc');
+
+const CHALLENGE_TTL_MS = parseInt(process.env.AUTH_CHALLENGE_TTL_MS || String(5 * 60 * 1000), 10);
+
+/**
+ * Signatures arrive as hex (SDK) or base64 (some wallet extensions);
+ * verifyMessage wants hex.
+ */
+function normalizeSignature(signature) {
+  const value = String(signature || '').trim();
+  if (/^[0-9a-f]+$/i.test(value)) return value.toLowerCase();
+  const bytes = Buffer.from(value, 'base64');
+  return bytes.length ? bytes.toString('hex') : null;
+}
+
+/**
+ * Create a nonce for `walletAddress` and the message the wallet must sign.
+ * A 'link' challenge also names the account (`accountAddress`) the
+ * wallet is being linked to.
+ */
+async function issueChallenge(walletAddress, { purpose = 'login', accountAddress = null } = {}) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+  const message = [
+    purpose === 'link'
+      ? 'Link this wallet for sign-in to KasperCoin Website Builder'
+      : 'Sign in to KasperCoin Website Builder',
+    `Address: ${walletAddress}`,
+    ...(purpose === 'link' ? [`Account: ${accountAddress}`] : []),
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`
+  ].join('\n');
+
+  await AuthChallenge.create({ nonce, walletAddress, purpose, accountAddress, message, expiresAt });
+  return { nonce, message, expiresAt };
+}
+
+/**
+ * Consume the challenge matching `filter` and check its signature. The
+ * nonce is burned even if the signature turns out to be wrong, so each
+ * nonce gets one try. Returns { success:true } or { success:false, error }.
+ */
+async function consumeChallenge(filter, { signature, publicKey }) {
+  const challenge = await AuthChallenge.findOneAndUpdate(
+    { ...filter, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!challenge) {
+    return { success: false, error: "Challenge is invalid, expired or already used." };
+  }
+
+  const hexSignature = normalizeSignature(signature);
+  const valid = hexSignature && verifyWalletSignature({
+    message: challenge.message,
+    signature: hexSignature,
+    publicKey,
+    address: challenge.walletAddress
+  });
+  if (!valid) {
+    return { success: false, error: "Signature does not match this wallet address." };
+  }
+  return { success: true };
+}
+
+/**
+ * Check a signed login challenge for the user's own wallet and find the
+ * account it's linked to.
+ * Returns { success:true, user } or { success:false, error }.
+ */
+async function verifyChallenge({ walletAddress, nonce, signature, publicKey }) {
+  const checked = await consumeChallenge({ nonce, walletAddress, purpose: 'login' }, { signature, publicKey });
+  if (!checked.success) return checked;
+
+  const user = await User.findOne({ loginAddress: walletAddress });
+  if (!user) {
+    return { success: false, error: "No account has linked this wallet for sign-in." };
+  }
+  return { success: true, user };
+}
+
+/**
+ * Link `address`, which the user proved they hold by signing a 'link'
+ * challenge, as the login address of the account at `accountAddress`.
+ * Returns { success:true } or { success:false, error }.
+ */
+async function linkLoginAddress(accountAddress, { address, nonce, signature, publicKey }) {
+  if (!isValidAddress(address)) {
+    return { success: false, error: "address must be a valid kaspa: address." };
+  }
+  // Deposit addresses are custodial; nobody can sign for them but the server
+  if (await User.exists({ walletAddress: address })) {
+    return { success: false, error: "A deposit address can't be used for sign-in." };
+  }
+  const checked = await consumeChallenge(
+    { nonce, walletAddress: address, purpose: 'link', accountAddress },
+    { signature, publicKey }
+  );
+  if (!checked.success) return checked;
+
+  try {
+    await User.updateOne({ walletAddress: accountAddress }, { $set: { loginAddress: address } });
+  } catch (err) {
+    if (err.code === 11000) {
+      return { success: false, error: "This wallet is already linked to another account." };
+    }
+    throw err;
+  }
+  return { success: true };
+}
+
+module.exports = {
+  issueChallenge,
+  verifyChallenge,
+  linkLoginAddress
+};
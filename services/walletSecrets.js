@@ -0,0 +1,117 @@
+// backend/services/walletSecrets.js
+//
+// At-rest encryption for the custodial xPrv and mnemonic stored on User.
+// Uses the bundled kaspa SDK's XChaCha20-Poly1305 helpers with a
+// server-held master key that never touches the database.
+//
+// WALLET_MASTER_KEYS="<keyId>:<secret>,<keyId>:<secret>,..."
+//   The first key encrypts; every listed key can decrypt. To rotate, put a
+//   new key first, run `npm run migrate:wallet-secrets`, then drop the old one.
+//
+// Stored format: "enc:<keyId>:<base64 ciphertext>". Anything without the
+// "enc:" prefix is a legacy plaintext value awaiting migration.
+
+const {
+  encryptXChaCha20Poly1305,
+  decryptXChaCha20Poly1305
+} = require('../wasm/kaspa');
+
+const PREFIX = 'enc:';
+
+let keyring = null;
+
+function loadKeyring() {
+  if (keyring) return keyring;
+  const entries = (process.env.WALLET_MASTER_KEYS || '')
+    .split(',')
+    .map(e => e.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const idx = entry.indexOf(':');
+      if (idx <= 0 || idx === entry.length - 1) {
+        throw new Error('WALLET_MASTER_KEYS entries must look like "<keyId>:<secret>"');
+      }
+      return { id: entry.slice(0, idx), secret: entry.slice(idx + 1) };
+    });
+  if (entries.length === 0) {
+    throw new Error('WALLET_MASTER_KEYS is not configured; refusing to handle wallet secrets.');
+  }
+
+  // Fail fast if the SDK build can't round-trip (older kaspa-wasm releases couldn't)
+  const probe = 'wallet-secrets-self-test';
+  if (decryptXChaCha20Poly1305(encryptXChaCha20Poly1305(probe, entries[0].secret), entries[0].secret) !== probe) {
+    throw new Error('XChaCha20-Poly1305 self-test failed.');
+  }
+
+  keyring = {
+    current: entries[0],
+    byId: new Map(entries.map(e => [e.id, e.secret]))
+  };
+  return keyring;
+}
+
+function isEncrypted(stored) {
+  return typeof stored === 'string' && stored.startsWith(PREFIX);
+}
+
+/**
+ * Key id a stored value was encrypted with, or null for plaintext.
+ */
+function keyIdOf(stored) {
+  if (!isEncrypted(stored)) return null;
+  return stored.slice(PREFIX.length).split(':')[0];
+}
+
+/**
+ * Encrypt a secret with the current master key.
+ */
+function encryptSecret(plainText) {
+  const { current } = loadKeyring();
+  return `${PREFIX}${current.id}:${encryptXChaCha20Poly1305(plainText, current.secret)}`;
+}
+
+/**
+ * Decrypt a stored secret. Legacy plaintext values are returned unchanged.
+ */
+function decryptSecret(stored) {
+  if (!isEncrypted(stored)) return stored;
+  const rest = stored.slice(PREFIX.length);
+  const idx = rest.indexOf(':');
+  const keyId = rest.slice(0, idx);
+  const secret = loadKeyring().byId.get(keyId);
+  if (!secret) {
+    throw new Error(`Wallet secret was encrypted with unknown master key "${keyId}".`);
+  }
+  return decryptXChaCha20Poly1305(rest.slice(idx + 1), secret);
+}
+
+/**
+ * True if the value is plaintext or encrypted with a non-current key.
+ */
+function needsReencryption(stored) {
+  if (!stored) return false;
+  return keyIdOf(stored) !== loadKeyring().current.id;
+}
+
+/**
+ * Decrypt the signing secrets of a user loaded with
+ * `.select('+xPrv +mnemonic')`. Only call this where a transaction is signed.
+ */
+function decryptWalletSecrets(user) {
+  if (!user || !user.xPrv) {
+    throw new Error('User was loaded without wallet secrets.');
+  }
+  return {
+    xPrv: decryptSecret(user.xPrv),
+    mnemonic: user.mnemonic ? decryptSecret(user.mnemonic) : null
+  };
+}
+
+module.exports = {
+  isEncrypted,
+  keyIdOf,
+  encryptSecret,
+  decryptSecret,
+  needsReencryption,
+  decryptWalletSecrets
+};
@@ -0,0 +1,524 @@
+// backend/services/withdrawals.js
+//
+// Withdrawals from a user's custodial deposit address. Deposits were
+// converted to credits on arrival, so sending coins back out converts
+// credits back at the current deposit rate (services/pricing.js): the
+// amount plus the KAS network fees is debited from the balance before
+// anything is broadcast.
+//
+// KAS is a single payment. KASPER (KRC20) is a commit transaction that
+// locks a little KAS in the inscription's P2SH address, then a reveal
+// that spends it and carries the "transfer" operation for the indexer.
+// trackWithdrawals() (run by worker.js) sends reveals and follows both
+// kinds until they're confirmed. Once a payment or commit is on the
+// network its credits are never refunded, even if recording it fails;
+// such withdrawals stay 'pending' until reconcilePending() finds them.
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Withdrawal = require('../models/Withdrawal');
+const creditLedger = require('./creditLedger');
+const pricing = require('./pricing');
+const { depositSigningKey } = require('./depositAddresses');
+const { getIndexer } = require('./indexers');
+const {
+  isValidAddress,
+  kaspaToSompi,
+  estimateKasTransfer,
+  sendKasTransfer,
+  estimateKrc20Commit,
+  sendKrc20Commit,
+  sendKrc20Reveal,
+  findKrc20Commit,
+  getSinkHash
+} = require('../wasm_rpc');
+
+const SOMPI_PER_KAS = 100000000n;
+const KASPER_TICK = 'KASPER';
+const WITHDRAW_MIN = {
+  KAS: parseFloat(process.env.WITHDRAW_MIN_KAS || '1'),
+  KASPER: parseFloat(process.env.WITHDRAW_MIN_KASPER || '800')
+};
+// Rolling 24h cap per wallet and coin
+const WITHDRAW_DAILY_LIMIT = {
+  KAS: parseFloat(process.env.WITHDRAW_DAILY_LIMIT_KAS || '1000'),
+  KASPER: parseFloat(process.env.WITHDRAW_DAILY_LIMIT_KASPER || '800000')
+};
+// KAS locked in the inscription P2SH output; mostly returned by the reveal
+const KRC20_COMMIT_SOMPI = kaspaToSompi(process.env.KRC20_COMMIT_KAS || '0.3');
+const KRC20_REVEAL_FEE_SOMPI = kaspaToSompi(process.env.KRC20_REVEAL_FEE_KAS || '0.001');
+// Minimum gap between two tracker checks of the same withdrawal
+const WITHDRAWAL_CHECK_INTERVAL_MS = parseInt(process.env.WITHDRAWAL_CHECK_INTERVAL_MS || '15000', 10);
+// A withdrawal still 'pending' after this long was interrupted around its broadcast
+const WITHDRAWAL_PENDING_STALE_MS = parseInt(process.env.WITHDRAWAL_PENDING_STALE_MS || String(10 * 60 * 1000), 10);
+// Recent transactions paying the destination searched for an unrecorded KAS payment
+const WITHDRAWAL_RECONCILE_SCAN_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sompiToKas(sompi) {
+  return Number(sompi) / Number(SOMPI_PER_KAS);
+}
+
+function describeWithdrawal(w) {
+  return {
+    withdrawalId: w.withdrawalId,
+    coinType: w.coinType,
+    toAddress: w.toAddress,
+    amount: w.amount,
+    fee: w.feeSompi ? sompiToKas(BigInt(w.feeSompi)) : null,
+    creditsDebited: w.creditsDebited,
+    status: w.status,
+    txid: w.txid,
+    txids: w.txids,
+    commitTxid: w.commitTxid,
+    revealTxid: w.revealTxid,
+    error: w.error,
+    createdAt: w.createdAt,
+    submittedAt: w.submittedAt,
+    confirmedAt: w.confirmedAt
+  };
+}
+
+/**
+ * Amount of `coinType` withdrawn (or on its way out) by this wallet in the
+ * last 24 hours.
+ */
+async function withdrawnToday(walletAddress, coinType) {
+  const [row] = await Withdrawal.aggregate([
+    {
+      $match: {
+        walletAddress,
+        coinType,
+        status: { $in: ['pending', 'committed', 'submitted', 'confirmed'] },
+        createdAt: { $gte: new Date(Date.now() - DAY_MS) }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return row ? row.total : 0;
+}
+
+async function finish(withdrawal, fields) {
+  Object.assign(withdrawal, fields);
+  await withdrawal.save();
+  return withdrawal;
+}
+
+/**
+ * Shared request checks. Returns { amountSompi, amount } or an error result.
+ */
+function validateRequest(walletAddress, coinType, { toAddress, amount }) {
+  if (!isValidAddress(toAddress)) {
+    return { success: false, status: 400, error: "toAddress must be a valid kaspa: address." };
+  }
+  if (toAddress === walletAddress) {
+    return { success: false, status: 400, error: "toAddress must differ from your deposit address." };
+  }
+  // KAS and KASPER both use 8 decimals
+  const amountSompi = kaspaToSompi(String(amount));
+  if (amountSompi === undefined || amountSompi <= 0n) {
+    return { success: false, status: 400, error: `amount must be a positive ${coinType} value.` };
+  }
+  const value = sompiToKas(amountSompi);
+  if (value < WITHDRAW_MIN[coinType]) {
+    return { success: false, status: 400, error: `Minimum withdrawal is ${WITHDRAW_MIN[coinType]} ${coinType}.` };
+  }
+  return { success: true, amountSompi, amount: value };
+}
+
+/**
+ * Record the withdrawal, enforce the daily limit and debit the credits.
+ * Returns { success, withdrawal, credits } or an error result.
+ */
+async function reserveWithdrawal(fields) {
+  const { walletAddress, coinType, creditsDebited } = fields;
+  // Record first so concurrent requests see each other in the daily total
+  const withdrawal = await Withdrawal.create({
+    withdrawalId: crypto.randomBytes(8).toString('hex'),
+    ...fields
+  });
+
+  if (await withdrawnToday(walletAddress, coinType) > WITHDRAW_DAILY_LIMIT[coinType]) {
+    await finish(withdrawal, { status: 'rejected', error: 'Daily withdrawal limit reached.' });
+    return {
+      success: false,
+      status: 429,
+      error: `Daily withdrawal limit of ${WITHDRAW_DAILY_LIMIT[coinType]} ${coinType} reached.`,
+      withdrawal: describeWithdrawal(withdrawal)
+    };
+  }
+
+  const debited = await creditLedger.debitCredits(walletAddress, creditsDebited, {
+    kind: 'withdrawal-debit',
+    requestId: withdrawal.withdrawalId,
+    reason: `Withdraw ${withdrawal.amount} ${coinType} to ${withdrawal.toAddress}`
+  });
+  if (!debited) {
+    await finish(withdrawal, { status: 'rejected', error: 'Insufficient credits.' });
+    return {
+      success: false,
+      status: 400,
+      error: `Insufficient credits (need ${creditsDebited.toFixed(8)} including network fees).`,
+      withdrawal: describeWithdrawal(withdrawal)
+    };
+  }
+  return { success: true, withdrawal, credits: debited.credits };
+}
+
+async function refundWithdrawal(withdrawal, amount, reason) {
+  return creditLedger.refundCredits(withdrawal.walletAddress, amount, {
+    kind: 'withdrawal-refund',
+    requestId: withdrawal.withdrawalId,
+    reason
+  });
+}
+
+/**
+ * Save what was broadcast. The coins are already on the network, so a
+ * failure here is only logged: the withdrawal stays 'pending' (its credits
+ * still debited) until reconcilePending() finds the transaction.
+ */
+async function recordBroadcast(withdrawal, fields, message) {
+  try {
+    await finish(withdrawal, fields);
+    console.log(message);
+  } catch (err) {
+    console.error(`Withdrawal ${withdrawal.withdrawalId} was broadcast but not recorded (${message}):`, err.message || err);
+  }
+}
+
+/**
+ * Failure before the payment (KAS) or commit (KASPER) went out: any
+ * consolidation transactions only paid back to the deposit address, so
+ * the funds never left and the whole debit is refunded.
+ */
+async function failBeforeBroadcast(withdrawal, err) {
+  console.error(`Withdrawal ${withdrawal.withdrawalId} failed:`, err.message || err);
+  await finish(withdrawal, { status: 'failed', txids: err.txids || [], error: String(err.message || err) });
+  const refunded = await refundWithdrawal(withdrawal, withdrawal.creditsDebited, 'Withdrawal was not broadcast.');
+  return {
+    success: false,
+    status: 502,
+    error: "Withdrawal could not be broadcast; your credits were refunded.",
+    withdrawal: describeWithdrawal(withdrawal),
+    credits: refunded ? refunded.credits : undefined
+  };
+}
+
+/**
+ * Send `amount` KAS from the user's deposit address to `toAddress`.
+ * Returns { success, withdrawal, credits } or { success:false, status, error }.
+ */
+async function withdrawKas(walletAddress, request) {
+  const checked = validateRequest(walletAddress, 'KAS', request);
+  if (!checked.success) return checked;
+  const { amountSompi, amount } = checked;
+  const { toAddress } = request;
+
+  if (!(await User.exists({ walletAddress }))) {
+    return { success: false, status: 400, error: "Invalid wallet address." };
+  }
+
+  let estimate;
+  try {
+    estimate = await estimateKasTransfer({ fromAddress: walletAddress, toAddress, amountSompi });
+  } catch (err) {
+    return { success: false, status: 400, error: `Unable to build withdrawal: ${err.message || err}` };
+  }
+
+  let kasRate;
+  try {
+    kasRate = await pricing.creditRate('KAS');
+  } catch (err) {
+    return { success: false, status: 503, error: `Pricing unavailable: ${err.message}` };
+  }
+
+  const reserved = await reserveWithdrawal({
+    walletAddress,
+    coinType: 'KAS',
+    toAddress,
+    amount,
+    amountSompi: amountSompi.toString(),
+    feeSompi: estimate.fees.toString(),
+    creditsPerUnit: kasRate.creditsPerUnit,
+    creditsDebited: sompiToKas(amountSompi + estimate.fees) * kasRate.creditsPerUnit
+  });
+  if (!reserved.success) return reserved;
+  const { withdrawal } = reserved;
+
+  let sent;
+  let chainTipHash;
+  try {
+    const privateKey = await depositSigningKey(walletAddress);
+    // Lets a node-backed indexer find the payment's acceptance later
+    chainTipHash = await getSinkHash();
+    // Throws only while the payment itself hasn't been submitted
+    sent = await sendKasTransfer({ privateKey, fromAddress: walletAddress, toAddress, amountSompi });
+  } catch (err) {
+    return failBeforeBroadcast(withdrawal, err);
+  }
+
+  await recordBroadcast(withdrawal, {
+    status: 'submitted',
+    txid: sent.txid,
+    txids: sent.txids,
+    feeSompi: sent.fees.toString(),
+    chainTipHash,
+    submittedAt: new Date()
+  }, `Withdrawal ${withdrawal.withdrawalId}: ${amount} KAS from ${walletAddress} to ${toAddress} in ${sent.txid}`);
+  return { success: true, withdrawal: describeWithdrawal(withdrawal), credits: reserved.credits };
+}
+
+/**
+ * KASPER held by `address` according to the KRC20 indexer, in base units.
+ */
+async function kasperBalance(address) {
+  return getIndexer().getKrc20Balance(address, KASPER_TICK);
+}
+
+/**
+ * Send `amount` KASPER from the user's deposit address to `toAddress`.
+ * Only the commit is broadcast here; the reveal follows from
+ * trackWithdrawals() once the commit output is spendable.
+ */
+async function withdrawKasper(walletAddress, request) {
+  const checked = validateRequest(walletAddress, 'KASPER', request);
+  if (!checked.success) return checked;
+  const { amountSompi, amount } = checked;
+  const { toAddress } = request;
+
+  if (!(await User.exists({ walletAddress }))) {
+    return { success: false, status: 400, error: "Invalid wallet address." };
+  }
+
+  const operation = {
+    p: 'krc-20',
+    op: 'transfer',
+    tick: KASPER_TICK,
+    amt: amountSompi.toString(),
+    to: toAddress
+  };
+
+  let estimate;
+  let rates;
+  try {
+    rates = await pricing.creditRates();
+  } catch (err) {
+    return { success: false, status: 503, error: `Pricing unavailable: ${err.message}` };
+  }
+  try {
+    if (await kasperBalance(walletAddress) < amountSompi) {
+      return { success: false, status: 400, error: "Deposit address doesn't hold enough KASPER." };
+    }
+    const privateKey = await depositSigningKey(walletAddress);
+    estimate = await estimateKrc20Commit({
+      publicKey: privateKey.toPublicKey(),
+      fromAddress: walletAddress,
+      operation,
+      commitSompi: KRC20_COMMIT_SOMPI
+    });
+  } catch (err) {
+    return { success: false, status: 400, error: `Unable to build withdrawal: ${err.message || err}` };
+  }
+
+  // Tokens at the deposit rate, plus the KAS spent on commit and reveal
+  const feeSompi = estimate.fees + KRC20_REVEAL_FEE_SOMPI;
+  const reserved = await reserveWithdrawal({
+    walletAddress,
+    coinType: 'KASPER',
+    toAddress,
+    amount,
+    amountSompi: amountSompi.toString(),
+    feeSompi: feeSompi.toString(),
+    operation,
+    creditsPerUnit: rates.KASPER.creditsPerUnit,
+    creditsDebited: amount * rates.KASPER.creditsPerUnit + sompiToKas(feeSompi) * rates.KAS.creditsPerUnit
+  });
+  if (!reserved.success) return reserved;
+  const { withdrawal } = reserved;
+
+  let sent;
+  try {
+    const privateKey = await depositSigningKey(walletAddress);
+    sent = await sendKrc20Commit({
+      privateKey,
+      fromAddress: walletAddress,
+      operation,
+      commitSompi: KRC20_COMMIT_SOMPI
+    });
+  } catch (err) {
+    return failBeforeBroadcast(withdrawal, err);
+  }
+
+  await recordBroadcast(withdrawal, {
+    status: 'committed',
+    commitTxid: sent.txid,
+    txids: sent.txids
+  }, `Withdrawal ${withdrawal.withdrawalId}: ${amount} KASPER commit ${sent.txid}`);
+  return { success: true, withdrawal: describeWithdrawal(withdrawal), credits: reserved.credits };
+}
+
+/**
+ * Whether the network has accepted `txid`, which pays `address` and was
+ * broadcast after chain block `since`. null while it's still unknown.
+ */
+async function isTransactionAccepted(txid, { address, since }) {
+  const status = await getIndexer().getTransactionStatus(txid, { address, since });
+  return status.found ? status.accepted : null;
+}
+
+/**
+ * Indexer verdict on a KRC20 reveal: 'accepted', 'rejected' (with the
+ * indexer's reason) or null while it hasn't been processed yet.
+ */
+async function krc20OperationResult(revealTxid) {
+  const op = await getIndexer().getKrc20Operation(revealTxid);
+  if (!op || op.opAccept === '0' || op.opAccept === undefined) return null;
+  if (op.opAccept === '1') return { verdict: 'accepted' };
+  return { verdict: 'rejected', reason: op.opError || 'Rejected by the KRC20 indexer.' };
+}
+
+/**
+ * Recent transaction paying exactly `amountSompi` to the withdrawal's
+ * destination out of its deposit address that no other withdrawal claims.
+ */
+async function findUnrecordedPayment(withdrawal) {
+  const { items } = await getIndexer().listKasTransactions(withdrawal.toAddress, null, {
+    limit: WITHDRAWAL_RECONCILE_SCAN_LIMIT
+  });
+  for (const tx of items) {
+    const pays = (tx.outputs || []).some(out =>
+      out.address === withdrawal.toAddress && out.amountSompi === withdrawal.amountSompi);
+    // Inputs may be unknown (null); then the amount and destination have to do
+    const fromDeposit = !tx.inputs || tx.inputs.some(input => input.address === withdrawal.walletAddress);
+    if (!pays || !fromDeposit) continue;
+    if (await Withdrawal.exists({ txids: tx.txid })) continue;
+    return tx;
+  }
+  return null;
+}
+
+/**
+ * A withdrawal left 'pending' by a crash or failed write around its
+ * broadcast: look for what it sent and pick up from there. If nothing is
+ * found it stays pending with its credits debited, flagged for review;
+ * refunding coins that may have left is not something to guess at.
+ */
+async function reconcilePending(withdrawal) {
+  if (withdrawal.coinType === 'KAS') {
+    const tx = await findUnrecordedPayment(withdrawal);
+    if (tx) {
+      await finish(withdrawal, { status: 'submitted', txid: tx.txid, txids: [tx.txid], error: null, submittedAt: new Date() });
+      console.log(`Withdrawal ${withdrawal.withdrawalId}: found unrecorded payment ${tx.txid}`);
+      return;
+    }
+  } else {
+    const privateKey = await depositSigningKey(withdrawal.walletAddress);
+    const commit = await findKrc20Commit(privateKey.toPublicKey(), withdrawal.operation);
+    if (commit) {
+      await finish(withdrawal, { status: 'committed', commitTxid: commit.transactionId, txids: [commit.transactionId], error: null });
+      console.log(`Withdrawal ${withdrawal.withdrawalId}: found unrecorded commit ${commit.transactionId}`);
+      return;
+    }
+  }
+  if (!withdrawal.error) {
+    await finish(withdrawal, { error: 'Broadcast not found on chain; needs review.' });
+    console.warn(`Withdrawal ${withdrawal.withdrawalId} is still pending and nothing it sent was found; needs review.`);
+  }
+}
+
+async function revealCommitted(withdrawal) {
+  const privateKey = await depositSigningKey(withdrawal.walletAddress);
+  const sent = await sendKrc20Reveal({
+    privateKey,
+    fromAddress: withdrawal.walletAddress,
+    operation: withdrawal.operation,
+    priorityFeeSompi: KRC20_REVEAL_FEE_SOMPI
+  });
+  if (!sent) return;   // commit output not visible yet
+  await finish(withdrawal, {
+    status: 'submitted',
+    revealTxid: sent.txid,
+    txid: sent.txid,
+    txids: [...withdrawal.txids, ...sent.txids],
+    submittedAt: new Date()
+  });
+  console.log(`Withdrawal ${withdrawal.withdrawalId}: KASPER reveal ${sent.txid}`);
+}
+
+async function confirmSubmitted(withdrawal) {
+  if (withdrawal.coinType === 'KAS') {
+    if (await isTransactionAccepted(withdrawal.txid, { address: withdrawal.toAddress, since: withdrawal.chainTipHash })) {
+      await finish(withdrawal, { status: 'confirmed', confirmedAt: new Date() });
+    }
+    return;
+  }
+
+  const result = await krc20OperationResult(withdrawal.revealTxid);
+  if (!result) return;
+  if (result.verdict === 'accepted') {
+    await finish(withdrawal, { status: 'confirmed', confirmedAt: new Date() });
+    return;
+  }
+  // The tokens never moved; the KAS spent on commit/reveal fees is gone
+  await finish(withdrawal, { status: 'failed', error: result.reason });
+  const creditsPerUnit = withdrawal.creditsPerUnit || (await pricing.creditRate('KASPER')).creditsPerUnit;
+  await refundWithdrawal(withdrawal, withdrawal.amount * creditsPerUnit, `KRC20 transfer rejected: ${result.reason}`);
+  console.warn(`Withdrawal ${withdrawal.withdrawalId} rejected by indexer: ${result.reason}`);
+}
+
+/**
+ * Advance committed and submitted withdrawals: send pending reveals and
+ * mark transactions confirmed; reconcile withdrawals stuck in 'pending'.
+ * Each withdrawal is claimed through lastCheckedAt so several workers
+ * don't act on it at once.
+ */
+async function trackWithdrawals(limit = 20) {
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+    const withdrawal = await Withdrawal.findOneAndUpdate(
+      {
+        $and: [
+          {
+            $or: [
+              { status: { $in: ['committed', 'submitted'] } },
+              { status: 'pending', createdAt: { $lte: new Date(now.getTime() - WITHDRAWAL_PENDING_STALE_MS) } }
+            ]
+          },
+          {
+            $or: [
+              { lastCheckedAt: null },
+              { lastCheckedAt: { $lte: new Date(now.getTime() - WITHDRAWAL_CHECK_INTERVAL_MS) } }
+            ]
+          }
+        ]
+      },
+      { $set: { lastCheckedAt: now } },
+      { sort: { lastCheckedAt: 1 }, new: true }
+    );
+    if (!withdrawal) return;
+    try {
+      if (withdrawal.status === 'pending') {
+        await reconcilePending(withdrawal);
+      } else if (withdrawal.status === 'committed') {
+        await revealCommitted(withdrawal);
+      } else {
+        await confirmSubmitted(withdrawal);
+      }
+    } catch (err) {
+      console.error(`Failed to track withdrawal ${withdrawal.withdrawalId}:`, err.message || err);
+    }
+  }
+}
+
+async function listWithdrawals(walletAddress) {
+  const rows = await Withdrawal.find({ walletAddress }).sort({ createdAt: -1 }).limit(100).lean();
+  return rows.map(describeWithdrawal);
+}
+
+module.exports = {
+  withdrawKas,
+  withdrawKasper,
+  trackWithdrawals,
+  listWithdrawals
+};
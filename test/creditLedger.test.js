@@ -0,0 +1,93 @@
+// backend/test/creditLedger.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+const GenerationJob = require('../models/GenerationJob');
+const CreditLedger = require('../models/CreditLedger');
+const creditLedger = require('../services/creditLedger');
+
+/**
+ * One generation job and its wallet kept in memory behind the model calls
+ * creditLedger makes. Each update is applied in a single synchronous step,
+ * like a MongoDB findOneAndUpdate.
+ */
+function fakeStore(t, job) {
+  const state = { job: { settlement: 'pending', ...job }, credits: 0, ledger: [] };
+  const query = result => ({ lean: async () => result() });
+
+  t.mock.method(GenerationJob, 'findOne', filter => query(() =>
+    (filter.requestId === state.job.requestId ? { ...state.job } : null)));
+  t.mock.method(GenerationJob, 'findOneAndUpdate', (filter, update) => query(() => {
+    if (filter.requestId !== state.job.requestId || state.job.settlement !== filter.settlement) return null;
+    Object.assign(state.job, update.$set);
+    return { ...state.job };
+  }));
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    state.credits += update.$inc.credits;
+    return { walletAddress: filter.walletAddress, credits: state.credits };
+  });
+  t.mock.method(CreditLedger, 'create', async entry => {
+    state.ledger.push(entry);
+    return entry;
+  });
+  return state;
+}
+
+const kinds = ledger => ledger.map(entry => entry.kind);
+
+test('a finished job is charged once however often it is settled', async t => {
+  const state = fakeStore(t, {
+    requestId: 'job-1', walletAddress: 'kaspa:user', status: 'done',
+    creditCost: 3, imageCost: 1, imagesHeld: 2, imagesGenerated: 2
+  });
+
+  const results = await Promise.all([
+    creditLedger.settleFinishedJob('job-1'),
+    creditLedger.settleFinishedJob('job-1'),
+    creditLedger.settleFinishedJob('job-1')
+  ]);
+  await creditLedger.settleFinishedJob('job-1');
+
+  assert.strictEqual(results.filter(Boolean).length, 1);
+  assert.strictEqual(state.job.settlement, 'charged');
+  assert.deepStrictEqual(kinds(state.ledger), ['generation-charge']);
+  assert.strictEqual(state.credits, 0);
+});
+
+test('images the worker did not generate are refunded once on charge', async t => {
+  const state = fakeStore(t, {
+    requestId: 'job-2', walletAddress: 'kaspa:user', status: 'done',
+    creditCost: 3, imageCost: 0.5, imagesHeld: 3, imagesGenerated: 1
+  });
+
+  await Promise.all([creditLedger.settleFinishedJob('job-2'), creditLedger.settleFinishedJob('job-2')]);
+
+  assert.deepStrictEqual(kinds(state.ledger), ['generation-refund', 'generation-charge']);
+  assert.strictEqual(state.credits, 1);
+});
+
+test('a failed job is refunded once and cannot be charged afterwards', async t => {
+  const state = fakeStore(t, {
+    requestId: 'job-3', walletAddress: 'kaspa:user', status: 'error', error: 'Generation timed out.',
+    creditCost: 3, imageCost: 1, imagesHeld: 2, imagesGenerated: 0
+  });
+
+  await Promise.all([creditLedger.settleFinishedJob('job-3'), creditLedger.settleFinishedJob('job-3')]);
+  const late = await creditLedger.settleGenerationJob('job-3', 'charged', 'Generation completed.');
+
+  assert.strictEqual(late, null);
+  assert.strictEqual(state.job.settlement, 'refunded');
+  assert.deepStrictEqual(kinds(state.ledger), ['generation-refund']);
+  assert.strictEqual(state.credits, 3);
+});
+
+test('a job still running is left unsettled', async t => {
+  const state = fakeStore(t, {
+    requestId: 'job-4', walletAddress: 'kaspa:user', status: 'in-progress', creditCost: 3
+  });
+
+  assert.strictEqual(await creditLedger.settleFinishedJob('job-4'), null);
+  assert.strictEqual(state.job.settlement, 'pending');
+  assert.deepStrictEqual(state.ledger, []);
+});
@@ -0,0 +1,113 @@
+// backend/test/depositClassifier.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { stubModule } = require('./helpers/stubModules');
+
+const WALLET = 'kaspa:deposit';
+const SENDER = 'kaspa:sender';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-'));
+process.env.CHAIN_INDEXER = 'file';
+process.env.INDEXER_FILE = path.join(dir, 'chain.json');
+fs.writeFileSync(process.env.INDEXER_FILE, JSON.stringify({
+  kasTransactions: [
+    { txid: 'reward', order: '1', confirmations: 200, coinbase: true,
+      outputs: [{ address: WALLET, amountSompi: '500000000' }] },
+    { txid: 'deposit', order: '2', confirmations: 200, inputs: [{ address: SENDER }],
+      outputs: [{ address: WALLET, amountSompi: '100000000' }] },
+    { txid: 'change', order: '3', confirmations: 200, inputs: [{ address: WALLET }],
+      outputs: [{ address: SENDER, amountSompi: '100000000' }, { address: WALLET, amountSompi: '40000000' }] },
+    { txid: 'sweep-change', order: '4', confirmations: 0, inputs: [{ address: WALLET }],
+      outputs: [{ address: WALLET, amountSompi: '30000000' }] },
+    { txid: 'unknown-source', order: '5', confirmations: 200,
+      outputs: [{ address: WALLET, amountSompi: '100000000' }] },
+    { txid: 'fresh', order: '6', confirmations: 0, inputs: [{ address: SENDER }],
+      outputs: [{ address: WALLET, amountSompi: '200000000' }] }
+  ]
+}));
+
+// The node-backed indexer is never selected here, but is loaded with the others
+stubModule('wasm_rpc.js', {});
+const notifications = stubModule('services/notifications.js', { sent: [], notify: null });
+notifications.notify = async (walletAddress, type, data) => notifications.sent.push({ type, data });
+
+const User = require('../models/User');
+const Deposit = require('../models/Deposit');
+const Withdrawal = require('../models/Withdrawal');
+const { getIndexer } = require('../services/indexers');
+const { REASONS, classifyKasTransaction, ownTransactionIds } = require('../services/depositClassifier');
+const { recheckKasDeposit } = require('../services/depositService');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function ownWithdrawals(t, txids) {
+  const query = { select: () => query, lean: async () => [{ txids }] };
+  t.mock.method(Withdrawal, 'find', () => query);
+}
+
+async function classify(t, txid, ownTxids = []) {
+  ownWithdrawals(t, ownTxids);
+  const tx = await getIndexer().getKasTransaction(txid, { address: WALLET });
+  return classifyKasTransaction(tx, WALLET, await ownTransactionIds(WALLET));
+}
+
+test('coinbase rewards and payments from others are deposits', async t => {
+  assert.deepStrictEqual(await classify(t, 'reward'), { credit: true, reason: REASONS.DEPOSIT, amount: 5 });
+  assert.deepStrictEqual(await classify(t, 'deposit'), { credit: true, reason: REASONS.DEPOSIT, amount: 1 });
+});
+
+test('change from our own withdrawals is never credited', async t => {
+  const decision = await classify(t, 'change', ['change']);
+  assert.strictEqual(decision.credit, false);
+  assert.strictEqual(decision.reason, REASONS.OWN_TRANSACTION);
+});
+
+test('a transaction spending the deposit address is self-sent even if not ours', async t => {
+  const decision = await classify(t, 'sweep-change');
+  assert.strictEqual(decision.credit, false);
+  assert.strictEqual(decision.reason, REASONS.SELF_SENT);
+});
+
+test('a transaction with no known inputs stays unresolved', async t => {
+  const decision = await classify(t, 'unknown-source');
+  assert.strictEqual(decision.credit, false);
+  assert.strictEqual(decision.reason, REASONS.INPUTS_UNRESOLVED);
+});
+
+/**
+ * Pending deposits and ignored transactions of one user, kept in memory
+ * behind the User.updateOne calls depositService makes.
+ */
+function fakeUser(t) {
+  const state = { updates: [] };
+  t.mock.method(Deposit, 'exists', async () => null);
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    state.updates.push(update);
+    const inserting = Boolean(update.$push);
+    return { matchedCount: inserting ? 1 : 0, modifiedCount: inserting ? 1 : 0 };
+  });
+  notifications.sent = [];
+  return state;
+}
+
+test('a deposit seen before it is deep enough is announced as pending', async t => {
+  const state = fakeUser(t);
+  await recheckKasDeposit(WALLET, { txid: 'fresh', amount: 2 }, new Set());
+  assert.ok(state.updates.some(u => u.$push && u.$push.pendingDeposits.txid === 'fresh'));
+  assert.deepStrictEqual(notifications.sent.map(n => [n.type, n.data.txid]), [['deposit-pending', 'fresh']]);
+});
+
+test('own change and unclassifiable transactions are not announced', async t => {
+  const state = fakeUser(t);
+  await recheckKasDeposit(WALLET, { txid: 'change', amount: 0.4 }, new Set(['change']));
+  await recheckKasDeposit(WALLET, { txid: 'unknown-source', amount: 1 }, new Set());
+  await recheckKasDeposit(WALLET, { txid: 'not-indexed', amount: 1 }, new Set());
+
+  const pending = state.updates.filter(u => u.$push && u.$push.pendingDeposits).map(u => u.$push.pendingDeposits);
+  assert.deepStrictEqual(pending.map(p => [p.txid, p.unresolved]), [['unknown-source', true], ['not-indexed', true]]);
+  assert.deepStrictEqual(notifications.sent, []);
+});
@@ -0,0 +1,34 @@
+// backend/test/helpers/stubModules.js
+//
+// Replaces modules with test doubles by resolved path, so services can be
+// loaded without the kaspa WASM binary (wasm_rpc.js) or other I/O. Stub
+// before the first require of anything that depends on the module.
+
+const Module = require('module');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const stubs = new Map();
+const originalLoad = Module._load;
+
+Module._load = function(request, parent, isMain) {
+  let resolved = null;
+  try {
+    resolved = Module._resolveFilename(request, parent, isMain);
+  } catch (err) {
+    resolved = null;
+  }
+  if (resolved && stubs.has(resolved)) return stubs.get(resolved);
+  return originalLoad.apply(this, arguments);
+};
+
+/**
+ * Serve `exports` for the module at `relativePath` (from the repo root).
+ * Returns `exports`, so tests can swap its functions later.
+ */
+function stubModule(relativePath, exports) {
+  stubs.set(require.resolve(path.join(ROOT, relativePath)), exports);
+  return exports;
+}
+
+module.exports = { stubModule };
@@ -0,0 +1,150 @@
+// backend/test/withdrawals.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { stubModule } = require('./helpers/stubModules');
+
+// withdrawals.js destructures these at load, so each test swaps the fakes behind them
+const fakes = { sendKasTransfer: null, indexer: null };
+stubModule('wasm_rpc.js', {
+  isValidAddress: address => typeof address === 'string' && address.startsWith('kaspa:'),
+  kaspaToSompi: value => BigInt(Math.round(parseFloat(value) * 1e8)),
+  estimateKasTransfer: async () => ({ fees: 2000n }),
+  estimateKrc20Commit: async () => ({ fees: 3000n }),
+  getSinkHash: async () => 'sink',
+  sendKasTransfer: (...args) => fakes.sendKasTransfer(...args),
+  sendKrc20Commit: async () => { throw new Error('not used'); },
+  sendKrc20Reveal: async () => { throw new Error('not used'); },
+  findKrc20Commit: async () => null
+});
+stubModule('services/depositAddresses.js', {
+  depositSigningKey: async () => ({ toPublicKey: () => 'public-key' })
+});
+stubModule('services/indexers/index.js', { getIndexer: () => fakes.indexer });
+
+const User = require('../models/User');
+const Withdrawal = require('../models/Withdrawal');
+const CreditLedger = require('../models/CreditLedger');
+const pricing = require('../services/pricing');
+const withdrawals = require('../services/withdrawals');
+
+const WALLET = 'kaspa:deposit';
+const DESTINATION = 'kaspa:destination';
+
+/**
+ * Wallet balance, ledger and saved withdrawals kept in memory behind the
+ * model calls withdrawals.js makes.
+ */
+function fakeStore(t, { credits = 100 } = {}) {
+  const state = { credits, ledger: [], saves: 0, failSaves: false };
+  t.mock.method(User, 'exists', async () => ({ _id: 'user' }));
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    if (filter.credits && state.credits < filter.credits.$gte) return null;
+    state.credits += update.$inc.credits;
+    return { walletAddress: filter.walletAddress, credits: state.credits };
+  });
+  t.mock.method(CreditLedger, 'create', async entry => {
+    state.ledger.push(entry);
+    return entry;
+  });
+  t.mock.method(Withdrawal, 'create', async fields => new Withdrawal(fields));
+  t.mock.method(Withdrawal, 'aggregate', async () => []);
+  t.mock.method(Withdrawal, 'exists', async () => null);
+  t.mock.method(Withdrawal.prototype, 'save', async function() {
+    if (state.failSaves) throw new Error('connection lost');
+    state.saves++;
+    return this;
+  });
+  t.mock.method(pricing, 'creditRate', async () => ({ creditsPerUnit: 10 }));
+  return state;
+}
+
+const kinds = ledger => ledger.map(entry => entry.kind);
+
+test('a KAS withdrawal whose send throws is refunded in full', async t => {
+  const state = fakeStore(t);
+  fakes.sendKasTransfer = async () => { throw new Error('node unreachable'); };
+
+  const result = await withdrawals.withdrawKas(WALLET, { toAddress: DESTINATION, amount: 2 });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.withdrawal.status, 'failed');
+  assert.deepStrictEqual(kinds(state.ledger), ['withdrawal-debit', 'withdrawal-refund']);
+  assert.strictEqual(state.credits, 100);
+});
+
+test('a KAS withdrawal that was sent is not refunded when recording it fails', async t => {
+  const state = fakeStore(t);
+  fakes.sendKasTransfer = async () => {
+    state.failSaves = true;
+    return { txid: 'paid', txids: ['paid'], fees: 2000n };
+  };
+
+  const result = await withdrawals.withdrawKas(WALLET, { toAddress: DESTINATION, amount: 2 });
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(kinds(state.ledger), ['withdrawal-debit']);
+  assert.ok(state.credits < 100);
+});
+
+test('a stale pending KAS withdrawal is matched to its unrecorded payment', async t => {
+  const state = fakeStore(t);
+  const withdrawal = new Withdrawal({
+    withdrawalId: 'w-1', walletAddress: WALLET, coinType: 'KAS', toAddress: DESTINATION,
+    amount: 2, amountSompi: '200000000', creditsDebited: 20
+  });
+  const claims = [withdrawal];
+  t.mock.method(Withdrawal, 'findOneAndUpdate', async () => claims.shift() || null);
+  fakes.indexer = ({
+    listKasTransactions: async () => ({
+      items: [
+        { txid: 'other', inputs: null, outputs: [{ address: DESTINATION, amountSompi: '100000000' }] },
+        { txid: 'paid', inputs: [{ address: WALLET }], outputs: [{ address: DESTINATION, amountSompi: '200000000' }] }
+      ],
+      next: null
+    })
+  });
+
+  await withdrawals.trackWithdrawals(5);
+
+  assert.strictEqual(withdrawal.status, 'submitted');
+  assert.strictEqual(withdrawal.txid, 'paid');
+  assert.deepStrictEqual(state.ledger, []);
+});
+
+test('a stale pending KAS withdrawal with no payment is flagged, not refunded', async t => {
+  const state = fakeStore(t);
+  const withdrawal = new Withdrawal({
+    withdrawalId: 'w-2', walletAddress: WALLET, coinType: 'KAS', toAddress: DESTINATION,
+    amount: 2, amountSompi: '200000000', creditsDebited: 20
+  });
+  const claims = [withdrawal];
+  t.mock.method(Withdrawal, 'findOneAndUpdate', async () => claims.shift() || null);
+  fakes.indexer = ({ listKasTransactions: async () => ({ items: [], next: null }) });
+
+  await withdrawals.trackWithdrawals(5);
+
+  assert.strictEqual(withdrawal.status, 'pending');
+  assert.ok(withdrawal.error);
+  assert.deepStrictEqual(state.ledger, []);
+});
+
+test('a KRC20 transfer rejected by the indexer refunds the tokens but not the fees', async t => {
+  const state = fakeStore(t, { credits: 0 });
+  const withdrawal = new Withdrawal({
+    withdrawalId: 'w-3', walletAddress: WALLET, coinType: 'KASPER', toAddress: DESTINATION,
+    amount: 800, amountSompi: '80000000000', creditsPerUnit: 0.01, creditsDebited: 8.5,
+    status: 'submitted', txid: 'reveal', revealTxid: 'reveal', txids: ['commit', 'reveal']
+  });
+  const claims = [withdrawal];
+  t.mock.method(Withdrawal, 'findOneAndUpdate', async () => claims.shift() || null);
+  fakes.indexer = ({
+    getKrc20Operation: async () => ({ opAccept: '-1', opError: 'insufficient balance' })
+  });
+
+  await withdrawals.trackWithdrawals(5);
+
+  assert.strictEqual(withdrawal.status, 'failed');
+  assert.deepStrictEqual(kinds(state.ledger), ['withdrawal-refund']);
+  assert.strictEqual(state.credits, 8);
+});
@@ -11,6 +11,21 @@ const {
     initConsolePanicHook,
     RpcClient,
     Resolver,
+    UtxoProcessor,
+    UtxoContext,
+    PublicKeyGenerator,
+    PublicKey,
+    Address,
+    verifyMessage,
+    kaspaToSompi,
+    estimateTransactions,
+    createTransactions,
+    Generator,
+    ScriptBuilder,
+    Opcodes,
+    payToScriptHashScript,
+    payToScriptHashSignatureScript,
+    addressFromScriptPublicKey,
 } = kaspa;
 
 // Enable console panic hooks for debugging
@@ -54,6 +69,307 @@ async function createWallet() {
     }
 }
 
+// Treasury account used in WALLET_MODE=derived; user n receives on <account>/0/n
+const TREASURY_ACCOUNT_PATH = "m/44'/111111'/0'";
+
+// Watch-only account key: TREASURY_XPUB on the web tier, or derived from
+// TREASURY_XPRV where the signing key is available anyway
+function treasuryAccountXPub() {
+    if (process.env.TREASURY_XPUB) {
+        return process.env.TREASURY_XPUB;
+    }
+    if (process.env.TREASURY_XPRV) {
+        return XPrv.fromXPrv(process.env.TREASURY_XPRV).derivePath(TREASURY_ACCOUNT_PATH).toXPub();
+    }
+    throw new Error("TREASURY_XPUB (or TREASURY_XPRV) is required for derived deposit addresses");
+}
+
+// Receive address m/44'/111111'/0'/0/<index> under the treasury account
+function deriveDepositAddress(index) {
+    const generator = PublicKeyGenerator.fromXPub(treasuryAccountXPub());
+    return generator.receiveAddressAsString(NetworkType.Mainnet, index);
+}
+
+// Check a signMessage() signature and that the signing key owns `address`
+function verifyWalletSignature({ message, signature, publicKey, address }) {
+    try {
+        const key = new PublicKey(publicKey);
+        if (key.toAddress(NetworkType.Mainnet).toString() !== address) {
+            return false;
+        }
+        return verifyMessage({ message, signature, publicKey: key });
+    } catch (err) {
+        // malformed key or signature
+        return false;
+    }
+}
+
+// Connect the shared RPC client on first use
+async function ensureRpcConnected() {
+    if (!rpc.isConnected) {
+        await rpc.connect();
+    }
+    return rpc;
+}
+
+// Mainnet address check for user-supplied destinations
+function isValidAddress(address) {
+    return typeof address === "string" && address.startsWith("kaspa:") && Address.validate(address);
+}
+
+// Key that spends from a user's deposit address: <treasury account>/0/<index>
+// in derived mode, otherwise m/44'/111111'/0'/0/0 of the user's own xPrv
+function depositPrivateKey({ walletMode, derivationIndex, xPrv }) {
+    if (walletMode === "derived") {
+        if (!process.env.TREASURY_XPRV) {
+            throw new Error("TREASURY_XPRV is required to spend from derived deposit addresses");
+        }
+        return XPrv.fromXPrv(process.env.TREASURY_XPRV)
+            .derivePath(`${TREASURY_ACCOUNT_PATH}/0/${derivationIndex}`)
+            .toPrivateKey();
+    }
+    return XPrv.fromXPrv(xPrv).derivePath("m/44'/111111'/0'/0/0").toPrivateKey();
+}
+
+// Generator settings paying `amountSompi` to `toAddress` from the UTXOs of
+// `fromAddress`, with change returned to `fromAddress`
+async function kasTransferSettings({ fromAddress, toAddress, amountSompi, priorityFeeSompi = 0n }) {
+    const client = await ensureRpcConnected();
+    const { entries } = await client.getUtxosByAddresses([fromAddress]);
+    // smallest first, so dust gets consolidated along the way
+    entries.sort((a, b) => (a.amount > b.amount ? 1 : -1));
+    return {
+        entries,
+        outputs: [{ address: toAddress, amount: amountSompi }],
+        priorityFee: priorityFeeSompi,
+        changeAddress: fromAddress,
+        networkId: "mainnet",
+    };
+}
+
+// Fee estimate for a KAS transfer; throws if the UTXOs can't cover it
+async function estimateKasTransfer(args) {
+    const settings = await kasTransferSettings(args);
+    if (!settings.entries.length) {
+        throw new Error("No spendable UTXOs at " + args.fromAddress);
+    }
+    const summary = await estimateTransactions(settings);
+    return { fees: summary.fees, utxos: summary.utxos, transactions: summary.transactions };
+}
+
+// Signs and submits each pending transaction; P2SH inputs (left unsigned by
+// sign()) are filled from `redeemScript`. On failure, err.txids lists
+// whatever was already submitted.
+async function signAndSubmit(transactions, privateKey, redeemScript = null) {
+    const txids = [];
+    try {
+        for (const pending of transactions) {
+            pending.sign([privateKey], false);
+            if (redeemScript) {
+                pending.transaction.inputs.forEach((input, index) => {
+                    if (input.signatureScript === "") {
+                        const signature = pending.createInputSignature(index, privateKey);
+                        pending.fillInput(index, payToScriptHashSignatureScript(redeemScript, signature));
+                    }
+                });
+            }
+            txids.push(await pending.submit(rpc));
+        }
+    } catch (err) {
+        const error = err instanceof Error ? err : new Error(String(err));
+        error.txids = txids;
+        throw error;
+    }
+    return txids;
+}
+
+// Build, sign and submit a KAS transfer. Large UTXO sets produce chained
+// consolidation transactions first; the last txid is the payment itself.
+async function sendKasTransfer({ privateKey, ...args }) {
+    const settings = await kasTransferSettings(args);
+    const { transactions, summary } = await createTransactions(settings);
+    const txids = await signAndSubmit(transactions, privateKey);
+    return { txids, txid: txids[txids.length - 1], fees: summary.fees };
+}
+
+// Current virtual DAA score of the network
+async function getVirtualDaaScore() {
+    const client = await ensureRpcConnected();
+    const { virtualDaaScore } = await client.getBlockDagInfo();
+    return BigInt(virtualDaaScore);
+}
+
+// Hash of the current virtual selected chain tip (the sink)
+async function getSinkHash() {
+    const client = await ensureRpcConnected();
+    const { sink } = await client.getSink();
+    return sink;
+}
+
+// Chain block that accepted `transactionId`, searching the virtual chain
+// from `startHash` on. Returns { acceptingBlockHash, daaScore } or null.
+async function findAcceptingBlock(transactionId, startHash) {
+    const client = await ensureRpcConnected();
+    const { acceptedTransactionIds } = await client.getVirtualChainFromBlock({
+        startHash,
+        includeAcceptedTransactionIds: true,
+    });
+    const accepting = acceptedTransactionIds.find(a => a.acceptedTransactionIds.includes(transactionId));
+    if (!accepting) return null;
+    const { block } = await client.getBlock({ hash: accepting.acceptingBlockHash, includeTransactions: false });
+    return { acceptingBlockHash: accepting.acceptingBlockHash, daaScore: BigInt(block.header.daaScore) };
+}
+
+// Whether `transactionId` is waiting in the node's mempool
+async function isInMempool(transactionId) {
+    const client = await ensureRpcConnected();
+    try {
+        await client.getMempoolEntry({ transactionId, includeOrphanPool: false, filterTransactionPool: false });
+        return true;
+    } catch (err) {
+        // The node answers "not found" with an RPC error
+        return false;
+    }
+}
+
+// UtxoProcessor + UtxoContext on the shared RPC client, for watching a set
+// of addresses (see utxo-context-listener in the SDK examples). Register
+// listeners on `processor` before calling start(). `maturityDaa` sets how
+// deep a user transaction must be before its "maturity" event.
+function createUtxoMonitor({ maturityDaa } = {}) {
+    if (maturityDaa !== undefined) {
+        UtxoProcessor.setUserTransactionMaturityDAA("mainnet", BigInt(maturityDaa));
+    }
+    const processor = new UtxoProcessor({ rpc, networkId: "mainnet" });
+    const context = new UtxoContext({ processor });
+    return {
+        processor,
+        context,
+        async start() {
+            await processor.start();
+            await ensureRpcConnected();
+        },
+        async stop() {
+            await processor.stop();
+        },
+    };
+}
+
+// Current UTXOs of `addresses`
+async function getUtxoEntries(addresses) {
+    const client = await ensureRpcConnected();
+    const { entries } = await client.getUtxosByAddresses(addresses);
+    return entries;
+}
+
+// Move every one of `entries` to `toAddress`. With no outputs the Generator
+// treats `toAddress` as change and batches inputs into as many transactions
+// as the mass limit needs. Inputs may come from several addresses as long
+// as `privateKeys` covers them. `onSubmitted(txid, spentEntries)` runs after
+// each transaction is submitted, before the next one is built.
+async function sweepEntries({ entries, privateKeys, toAddress, dryRun = false, onSubmitted = null }) {
+    const generator = new Generator({
+        entries,
+        outputs: [],
+        changeAddress: toAddress,
+        networkId: "mainnet",
+    });
+    if (dryRun) {
+        const summary = await generator.estimate();
+        return { txids: [], fees: summary.fees, amount: summary.finalAmount || 0n, transactions: summary.transactions };
+    }
+    const txids = [];
+    let pending;
+    try {
+        while ((pending = await generator.next())) {
+            pending.sign(privateKeys);
+            const txid = await pending.submit(rpc);
+            txids.push(txid);
+            if (onSubmitted) await onSubmitted(txid, pending.getUtxoEntries());
+        }
+    } catch (err) {
+        const error = err instanceof Error ? err : new Error(String(err));
+        error.txids = txids;
+        throw error;
+    }
+    const summary = generator.summary();
+    return { txids, fees: summary.fees, amount: summary.finalAmount || 0n, transactions: summary.transactions };
+}
+
+// KRC20 inscription envelope: <x-only pubkey> OP_CHECKSIG OP_FALSE OP_IF
+// "kasplex" 0 <json> OP_ENDIF. Returns the redeem script and its P2SH address.
+function krc20RedeemScript(publicKey, operation) {
+    const redeemScript = new ScriptBuilder()
+        .addData(publicKey.toXOnlyPublicKey().toString())
+        .addOp(Opcodes.OpCheckSig)
+        .addOp(Opcodes.OpFalse)
+        .addOp(Opcodes.OpIf)
+        .addData(Buffer.from("kasplex"))
+        .addI64(0n)
+        .addData(Buffer.from(JSON.stringify(operation)))
+        .addOp(Opcodes.OpEndIf)
+        .drain();
+    const p2shAddress = addressFromScriptPublicKey(payToScriptHashScript(redeemScript), "mainnet");
+    return { redeemScript, p2shAddress: p2shAddress.toString() };
+}
+
+// Commit step of a KRC20 operation: locks `commitSompi` in the
+// inscription's P2SH address, which the reveal then spends
+async function krc20CommitSettings({ publicKey, fromAddress, operation, commitSompi, priorityFeeSompi = 0n }) {
+    const { p2shAddress } = krc20RedeemScript(publicKey, operation);
+    return kasTransferSettings({ fromAddress, toAddress: p2shAddress, amountSompi: commitSompi, priorityFeeSompi });
+}
+
+async function estimateKrc20Commit(args) {
+    const settings = await krc20CommitSettings(args);
+    if (!settings.entries.length) {
+        throw new Error("No spendable UTXOs at " + args.fromAddress);
+    }
+    const summary = await estimateTransactions(settings);
+    return { fees: summary.fees };
+}
+
+async function sendKrc20Commit({ privateKey, ...args }) {
+    const settings = await krc20CommitSettings({ publicKey: privateKey.toPublicKey(), ...args });
+    const { transactions, summary } = await createTransactions(settings);
+    const txids = await signAndSubmit(transactions, privateKey);
+    return { txids, txid: txids[txids.length - 1], fees: summary.fees, p2shAddress: settings.outputs[0].address };
+}
+
+// Reveal step: spends the commit output with the redeem script, which is
+// what the KRC20 indexer reads. Returns null until the commit UTXO is visible.
+async function sendKrc20Reveal({ privateKey, fromAddress, operation, priorityFeeSompi }) {
+    const client = await ensureRpcConnected();
+    const { redeemScript, p2shAddress } = krc20RedeemScript(privateKey.toPublicKey(), operation);
+    const { entries: commitEntries } = await client.getUtxosByAddresses([p2shAddress]);
+    if (!commitEntries.length) {
+        return null;
+    }
+    // the commit output pays the reveal fee itself; the rest returns as change
+    const { transactions, summary } = await createTransactions({
+        priorityEntries: [commitEntries[0]],
+        entries: [],
+        outputs: [],
+        changeAddress: fromAddress,
+        priorityFee: priorityFeeSompi,
+        networkId: "mainnet",
+    });
+    const txids = await signAndSubmit(transactions, privateKey, redeemScript);
+    return { txids, txid: txids[txids.length - 1], fees: summary.fees };
+}
+
+// Commit output of a KRC20 operation signed by `publicKey`, if it's still
+// unspent: { transactionId, amount } or null
+async function findKrc20Commit(publicKey, operation) {
+    const client = await ensureRpcConnected();
+    const { p2shAddress } = krc20RedeemScript(publicKey, operation);
+    const { entries } = await client.getUtxosByAddresses([p2shAddress]);
+    if (!entries.length) {
+        return null;
+    }
+    return { transactionId: entries[0].outpoint.transactionId, amount: entries[0].amount };
+}
+
 // Command-line interface for creating a wallet
 if (require.main === module) {
     (async () => {
@@ -70,4 +386,24 @@ if (require.main === module) {
     })();
 }
 
-module.exports = { createWallet };
+module.exports = {
+    createWallet,
+    deriveDepositAddress,
+    verifyWalletSignature,
+    isValidAddress,
+    kaspaToSompi,
+    depositPrivateKey,
+    estimateKasTransfer,
+    sendKasTransfer,
+    estimateKrc20Commit,
+    sendKrc20Commit,
+    sendKrc20Reveal,
+    findKrc20Commit,
+    getUtxoEntries,
+    sweepEntries,
+    createUtxoMonitor,
+    getVirtualDaaScore,
+    getSinkHash,
+    findAcceptingBlock,
+    isInMempool,
+};
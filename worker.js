@@ -0,0 +1,199 @@
+// backend/worker.js
+//
+// Long-running generation worker. The web process only enqueues jobs;
+// this process claims them from MongoDB under a lease, keeps the lease
+// alive with heartbeats and runs at most GENERATION_CONCURRENCY at once.
+// It also drives on-chain withdrawals forward, sweeps credited deposits and
+// listens for new deposits (see services/withdrawals.js, sweeper.js and
+// depositListener.js).
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+
+const jobStore = require('./services/jobStore');
+const { runGenerationJob } = require('./services/generationService');
+const { settleFinishedJobs } = require('./services/creditLedger');
+const { trackWithdrawals } = require('./services/withdrawals');
+const { TREASURY_ADDRESS, sweepCreditedDeposits } = require('./services/sweeper');
+const { startDepositListener } = require('./services/depositListener');
+const { promotePendingDeposits } = require('./services/depositService');
+const { reconcileDeposits } = require('./services/depositReconciler');
+
+const CONCURRENCY = parseInt(process.env.GENERATION_CONCURRENCY || '2', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.WORKER_POLL_INTERVAL_MS || '2000', 10);
+const WORKER_ID = jobStore.INSTANCE_ID;
+// Heartbeats double as the cancellation check, so keep them frequent
+const HEARTBEAT_INTERVAL_MS = Math.min(5000, Math.floor(jobStore.JOB_LEASE_MS / 3));
+// A single attempt running longer than this is failed and refunded
+const GENERATION_TIMEOUT_MS = parseInt(process.env.GENERATION_TIMEOUT_MS || String(5 * 60 * 1000), 10);
+// Reveals pending KRC20 withdrawals and follows withdrawals to confirmation
+const WITHDRAWAL_TRACK_INTERVAL_MS = parseInt(process.env.WITHDRAWAL_TRACK_INTERVAL_MS || '10000', 10);
+// Credits pending deposits once they're deep enough
+const DEPOSIT_PROMOTE_INTERVAL_MS = parseInt(process.env.DEPOSIT_PROMOTE_INTERVAL_MS || '30000', 10);
+// When credited deposits are swept to TREASURY_ADDRESS (cron syntax)
+const SWEEP_SCHEDULE = process.env.SWEEP_SCHEDULE || '15 * * * *';
+// When deposits are checked for double or missing credits (cron syntax)
+const RECONCILE_SCHEDULE = process.env.RECONCILE_SCHEDULE || '30 3 * * *';
+// Credit KAS deposits as they mature instead of waiting for /scan-deposits
+const DEPOSIT_LISTENER_ENABLED = process.env.DEPOSIT_LISTENER !== 'off';
+
+const activeJobs = new Set();
+// Claims in flight; they hold a slot so overlapping fillSlots() calls can't overshoot
+let claiming = 0;
+let stopping = false;
+let pollTimer = null;
+let withdrawalTimer = null;
+let depositTimer = null;
+let sweepTask = null;
+let reconcileTask = null;
+let depositListener = null;
+
+/**
+ * Run a claimed job while heartbeating its lease. If the heartbeat finds
+ * the job no longer running under this worker (cancelled, or taken over
+ * after a lease expiry), the in-flight OpenAI call is aborted.
+ */
+async function processJob(job) {
+  console.log(`Worker ${WORKER_ID} claimed job ${job.requestId} (attempt ${job.attempts})`);
+  const controller = new AbortController();
+  const heartbeat = setInterval(() => {
+    jobStore.heartbeatJob(job)
+      .then(current => {
+        if (!current && !controller.signal.aborted) {
+          console.log(`Job ${job.requestId} is no longer ours, aborting.`);
+          controller.abort();
+        }
+      })
+      .catch(err => console.error(`Heartbeat failed for job ${job.requestId}:`, err.message));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const timeout = setTimeout(() => {
+    jobStore.failJob(job, 'Generation timed out.')
+      .catch(err => console.error(`Failed to time out job ${job.requestId}:`, err.message))
+      .finally(() => controller.abort());
+  }, GENERATION_TIMEOUT_MS);
+
+  try {
+    await runGenerationJob(job, controller.signal);
+  } finally {
+    clearInterval(heartbeat);
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Claim jobs until every concurrency slot is busy or the queue is empty.
+ */
+async function fillSlots() {
+  while (!stopping && activeJobs.size + claiming < CONCURRENCY) {
+    claiming++;
+    let job;
+    try {
+      job = await jobStore.claimNextJob(WORKER_ID);
+    } finally {
+      claiming--;
+    }
+    if (!job) return;
+
+    const run = processJob(job)
+      .catch(err => console.error(`Unexpected error in job ${job.requestId}:`, err))
+      .finally(() => {
+        activeJobs.delete(run);
+        if (!stopping) fillSlots().catch(err => console.error("Failed to claim job:", err));
+      });
+    activeJobs.add(run);
+  }
+}
+
+/**
+ * Fail jobs that were abandoned or never picked up, then settle every
+ * finished job that still holds a pending credit.
+ */
+async function reapAndSettle() {
+  const reaped = await jobStore.reapAbandonedJobs();
+  for (const job of reaped) {
+    console.warn(`Job ${job.requestId} failed: ${job.error}`);
+  }
+  await settleFinishedJobs();
+}
+
+async function poll() {
+  try {
+    await reapAndSettle();
+    await fillSlots();
+  } catch (err) {
+    console.error("Worker poll error:", err);
+  }
+  if (!stopping) {
+    pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+  }
+}
+
+async function pollWithdrawals() {
+  try {
+    await trackWithdrawals();
+  } catch (err) {
+    console.error("Withdrawal tracking error:", err);
+  }
+  if (!stopping) {
+    withdrawalTimer = setTimeout(pollWithdrawals, WITHDRAWAL_TRACK_INTERVAL_MS);
+  }
+}
+
+async function pollPendingDeposits() {
+  try {
+    await promotePendingDeposits();
+  } catch (err) {
+    console.error("Pending deposit check error:", err);
+  }
+  if (!stopping) {
+    depositTimer = setTimeout(pollPendingDeposits, DEPOSIT_PROMOTE_INTERVAL_MS);
+  }
+}
+
+async function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  clearTimeout(pollTimer);
+  clearTimeout(withdrawalTimer);
+  clearTimeout(depositTimer);
+  if (sweepTask) sweepTask.stop();
+  if (reconcileTask) reconcileTask.stop();
+  if (depositListener) {
+    await depositListener.stop().catch(err => console.error("Failed to stop deposit listener:", err));
+  }
+  console.log(`Worker ${WORKER_ID} received ${signal}, waiting for ${activeJobs.size} job(s)...`);
+  await Promise.allSettled([...activeJobs]);
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+mongoose.connect(process.env.MONGO_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true
+})
+.then(() => {
+  console.log(`Worker ${WORKER_ID} connected to MongoDB (concurrency ${CONCURRENCY})`);
+  poll();
+  pollWithdrawals();
+  pollPendingDeposits();
+  if (DEPOSIT_LISTENER_ENABLED) {
+    depositListener = startDepositListener();
+  }
+  if (TREASURY_ADDRESS) {
+    sweepTask = cron.schedule(SWEEP_SCHEDULE, () => {
+      sweepCreditedDeposits().catch(err => console.error("Deposit sweep failed:", err));
+    });
+  }
+  reconcileTask = cron.schedule(RECONCILE_SCHEDULE, () => {
+    reconcileDeposits().catch(err => console.error("Deposit reconciliation failed:", err));
+  });
+})
+.catch(err => {
+  console.error('Failed to connect to MongoDB:', err);
+  process.exit(1);
+});